@@ -0,0 +1,120 @@
+// Asynchronous text location | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// recognize_text() does all of its work before returning, which can freeze a
+// browser for several seconds on a large image. recognize_text.async() runs the
+// same job a slice at a time, yielding to the event loop between slices, and
+// returns a future (see deps/future.js) instead of the result:
+
+// | var analysis = recognize_text.async(image_data, {multiscale: true});
+//   analysis.progress.push(function (p) {console.log(p.phase, p.done, p.total)});
+//   analysis.push(function (result) {draw(result.lines)});
+//   // later, e.g. because the user dropped another image:
+//   analysis.cancel();
+
+// The result is exactly what recognize_text(image_data, options) would have
+// returned. Progress events look like {phase: 'rays', done: 4096, total: 20480};
+// the phases are skew and rotation (only with the deskew option), rays,
+// classification, growth and description, and in multiscale mode the locator's events also carry the
+// scale they belong to. Cancelling stops the work before its next slice. The
+// future is then never decided, and progress receives one last event whose phase
+// is 'cancelled'. If the detector throws, the error goes to analysis.failed.
+
+// This file needs recognize-text.js and deps/future.js to be loaded first. Under
+// Node it loads them itself and exports recognize_text with async() attached.
+
+var recognize_text = typeof module === 'object' && module.exports
+  ? require('./recognize-text.js')
+  : recognize_text;
+
+if (typeof caterwaul === 'undefined' && typeof require === 'function')
+  require('./deps/caterwaul.min.js'),
+  require('./deps/future.js');
+
+// Slicing.
+// Each slice processes items in batches of batch_size and stops at the first batch
+// boundary after slice_time milliseconds. The batch keeps us from checking the
+// clock for every point; the time limit keeps slices short regardless of how
+// expensive a phase's items are.
+
+recognize_text.async = function (image_data, options) {
+  var result   = caterwaul.future();
+  var progress = result.progress = caterwaul.future();
+  var failed   = result.failed   = caterwaul.future();
+
+  var job       = null;
+  var phase     = 0, started = false;
+  var done      = 0, total   = 0;
+  var timer     = null;
+  var cancelled = false;
+
+  var report = function (p) {
+    var event = {phase: p.name, done: done, total: total};
+    if (p.scale !== undefined) event.scale = p.scale;
+    progress(event);
+  };
+
+  // Returns true once every phase has run, at which point job.result() can be
+  // called.
+  var work = function (deadline) {
+    job || (job = recognize_text.job(image_data, options));
+
+    while (phase < job.phases.length) {
+      var p = job.phases[phase];
+      if (!started)
+        total   = p.begin(),
+        done    = 0,
+        started = true;
+
+      while (done < total && +new Date < deadline) {
+        var to = Math.min(total, done + recognize_text.async.batch_size);
+        p.run(done, to);
+        done = to;
+      }
+
+      report(p);
+      if (done < total) return false;
+
+      ++phase;
+      started = false;
+      if (+new Date >= deadline && phase < job.phases.length) return false;
+    }
+
+    return true;
+  };
+
+  var step = function () {
+    timer = null;
+    if (cancelled) return;
+
+    try {
+      var finished = work(+new Date + recognize_text.async.slice_time);
+      var value    = finished && job.result();
+    } catch (e) {
+      return failed.finalize(e);
+    }
+
+    if (finished) result.finalize(value);
+    else          timer = setTimeout(step, 0);
+  };
+
+  result.cancel = function () {
+    if (cancelled || result.finalized || failed.finalized) return result;
+    cancelled = true;
+    if (timer !== null) clearTimeout(timer);
+    progress({phase: 'cancelled', done: done, total: total});
+    return result;
+  };
+
+  // Start on the next tick so that the caller has a chance to attach
+  // listeners first.
+  timer = setTimeout(step, 0);
+  return result;
+};
+
+recognize_text.async.slice_time = 25;
+recognize_text.async.batch_size = 16;
+
+if (typeof module === 'object' && module.exports) module.exports = recognize_text;
+// Generated by SDoc 
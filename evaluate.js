@@ -0,0 +1,319 @@
+// Detector evaluation | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// To tell whether a change to the detector helps, we need images whose text boxes
+// are known and a way to compare the detector's boxes against them. This file
+// defines both: a JSON annotation format for the expected boxes, and functions
+// that match detected boxes to expected ones and compute precision, recall, F1
+// and mean intersection-over-union. The command-line interface uses it for its
+// --evaluate mode, which runs over directories of annotated images:
+
+// | $ bin/recognize-text --evaluate --iou 0.5,0.75 samples/
+//   {"file":"samples/page1.json","image":"samples/page1.png","scores":[...]}
+//   ...
+//   {"total":{"images":12,"scores":[...]}}
+
+// Like async.js, this needs recognize-text.js to be loaded first, and under Node
+// it loads it itself and exports recognize_text with these functions attached.
+
+var recognize_text = typeof module === 'object' && module.exports
+  ? require('./recognize-text.js')
+  : recognize_text;
+
+// Annotation format.
+// An annotation is a JSON object describing one image. Boxes use the same x, y, w
+// and h fields (in pixels) as recognize_text() results, and each level of detail
+// below lines is optional:
+
+// | {"image": "page1.png",
+//    "lines": [{"x": 12, "y": 30, "w": 210, "h": 14, "text": "Hello world",
+//               "words": [{"x": 12, "y": 30, "w": 58,  "h": 14, "text": "Hello",
+//                          "chars": [{"x": 12, "y": 30, "w": 10, "h": 14}, ...]},
+//                         {"x": 78, "y": 30, "w": 144, "h": 14, "text": "world"}]}]}
+
+// The image field names the image file, relative to the annotation. It can be
+// left out if the image has the same name as the annotation minus .json, or the
+// same name with .json replaced by an image extension. The text fields are for
+// people reading the annotation; the evaluator ignores them.
+
+// Boxes at a level.
+// boxes(container, level) flattens an annotation or a recognize_text() result
+// down to its boxes at one level: 'lines', 'words' or 'chars'. It throws if an
+// annotation stops short of the level we asked for, since scoring against missing
+// boxes would report every detection as a false positive.
+
+recognize_text.evaluation_levels = ['lines', 'words', 'chars'];
+
+recognize_text.boxes = function (container, level) {
+  var depth = recognize_text.evaluation_levels.indexOf(level || 'lines');
+  if (depth < 0) throw new Error('unknown level ' + level);
+
+  var boxes = container.lines || container.cells || [];
+  for (var i = 1; i <= depth; ++i) {
+    var children = [], key = recognize_text.evaluation_levels[i];
+    for (var j = 0, l = boxes.length; j < l; ++j) {
+      if (!boxes[j][key]) throw new Error('no ' + key + ' below ' +
+                                          recognize_text.evaluation_levels[i - 1]);
+      children.push.apply(children, boxes[j][key]);
+    }
+    boxes = children;
+  }
+
+  return boxes;
+};
+
+// Making annotations.
+// annotation(boxes, image) builds an annotation from a list of line boxes, such
+// as the lines of a recognize_text() result after someone has corrected them (the
+// test bench saves its edits this way). Boxes are rounded to whole pixels and
+// sorted top to bottom, and a box's text is kept if it has any. Words and
+// characters are left out, since they rarely survive their line being edited.
+
+recognize_text.annotation = function (boxes, image) {
+  var lines = boxes.map(function (box) {
+    var x = Math.round(box.x), y = Math.round(box.y);
+    var line = {x: x, y: y, w: Math.round(box.x + box.w) - x, h: Math.round(box.y + box.h) - y};
+    if (box.text !== undefined) line.text = box.text;
+    return line;
+  }).sort(function (a, b) {return a.y - b.y || a.x - b.x});
+
+  return image ? {image: image, lines: lines} : {lines: lines};
+};
+
+// Matching.
+// match_boxes(detected, expected, threshold) pairs detected boxes with expected
+// ones. A pair is eligible if its intersection-over-union is at least threshold,
+// and eligible pairs are taken greedily from the best overlap down, so each box
+// is used at most once. Anything left unpaired is either a miss (expected) or a
+// false positive (detected).
+
+recognize_text.match_boxes = function (detected, expected, threshold) {
+  var pairs = [];
+  for (var i = 0, l = detected.length; i < l; ++i)
+    for (var j = 0, lj = expected.length, o; j < lj; ++j)
+      if ((o = recognize_text.overlap(detected[i], expected[j])) >= threshold && o > 0)
+        pairs.push({detected: i, expected: j, iou: o});
+
+  pairs.sort(function (a, b) {return b.iou - a.iou});
+
+  var used_detected = [], used_expected = [], matches = [];
+  for (var i = 0, l = pairs.length, p; i < l; ++i)
+    if (!used_detected[(p = pairs[i]).detected] && !used_expected[p.expected])
+      used_detected[p.detected] = used_expected[p.expected] = true,
+      matches.push({detected: detected[p.detected], expected: expected[p.expected],
+                    iou: p.iou});
+
+  var missed = [], false_positives = [];
+  for (var j = 0, lj = expected.length; j < lj; ++j)
+    if (!used_expected[j]) missed.push(expected[j]);
+  for (var i = 0, l = detected.length; i < l; ++i)
+    if (!used_detected[i]) false_positives.push(detected[i]);
+
+  return {matches: matches, missed: missed, false_positives: false_positives};
+};
+
+// Scores.
+// score(detected, expected, threshold) turns a match into numbers. Counts are kept
+// alongside the ratios so that total(scores, threshold) can add up the scores of
+// several images taken at the same threshold; averaging the ratios instead would
+// weight a two-line image the same as a two-hundred-line page. An empty ratio (no
+// detections, say) is reported as 1 if there was nothing to get wrong and 0
+// otherwise, and mean_iou is null when nothing matched.
+
+recognize_text.score = function (detected, expected, threshold) {
+  var match = recognize_text.match_boxes(detected, expected, threshold);
+  var iou   = 0;
+  for (var i = 0, l = match.matches.length; i < l; ++i)
+    iou += match.matches[i].iou;
+
+  var score = recognize_text.ratios({threshold:       threshold,
+                                     true_positives:  match.matches.length,
+                                     false_positives: match.false_positives.length,
+                                     false_negatives: match.missed.length,
+                                     iou_total:       iou});
+
+  score.missed               = match.missed;
+  score.false_positive_boxes = match.false_positives;
+  return score;
+};
+
+recognize_text.ratios = function (counts) {
+  var tp = counts.true_positives, fp = counts.false_positives, fn = counts.false_negatives;
+
+  counts.precision = tp + fp ? tp / (tp + fp) : fn ? 0 : 1;
+  counts.recall    = tp + fn ? tp / (tp + fn) : fp ? 0 : 1;
+  counts.f1        = counts.precision + counts.recall
+                     ? 2 * counts.precision * counts.recall / (counts.precision + counts.recall)
+                     : 0;
+  counts.mean_iou  = tp ? counts.iou_total / tp : null;
+  return counts;
+};
+
+recognize_text.total = function (scores, threshold) {
+  var counts = {threshold:       threshold,
+                true_positives:  0,
+                false_positives: 0,
+                false_negatives: 0,
+                iou_total:       0};
+
+  for (var i = 0, l = scores.length; i < l; ++i)
+    counts.true_positives  += scores[i].true_positives,
+    counts.false_positives += scores[i].false_positives,
+    counts.false_negatives += scores[i].false_negatives,
+    counts.iou_total       += scores[i].iou_total;
+
+  return recognize_text.ratios(counts);
+};
+
+// Evaluating an image.
+// evaluate(image_data, annotation, options) runs the detector and scores it at
+// each threshold in options.thresholds (default [0.5]) and at options.level
+// (default 'lines'). The rest of options goes to recognize_text(). It returns
+// {result, scores}, with one score per threshold.
+
+recognize_text.evaluate = function (image_data, annotation, options) {
+  var thresholds = options && options.thresholds || [0.5];
+  var level      = options && options.level      || 'lines';
+  var result     = recognize_text(image_data, options);
+  var detected   = recognize_text.boxes(result, level);
+  var expected   = recognize_text.boxes(annotation, level);
+
+  var scores = [];
+  for (var i = 0, l = thresholds.length; i < l; ++i)
+    scores.push(recognize_text.score(detected, expected, thresholds[i]));
+
+  return {result: result, scores: scores};
+};
+
+// Calibration.
+// Confidences and has_text come from logistic curves in the logarithm of the
+// detector's scores (see the section on confidence in recognize-text.js).
+// calibrate(samples, options) fits both curves to annotated images, given as
+// [{image_data, annotation}, ...], and returns an object that can be passed as
+// the calibration option:
+
+// | var calibration = recognize_text.calibrate(samples);
+//   recognize_text(image_data, {calibration: calibration});
+
+// It's in two parts so that images can be loaded one at a time.
+// calibration_examples(image_data, annotation, options) runs the detector and
+// returns what the fit needs to know about one image: {boxes: [{score, text}],
+// image: {score, text}}. A box is text if it matches an annotated line at
+// options.thresholds[0] (0.5 by default); the image's score is image_score() of
+// its lines (see recognize-text.js), and it's text if the annotation has any.
+// Annotations with no lines are fine, and are the best way to teach the curves
+// what blank or busy images without text look like. fit_calibration(examples)
+// then fits the curves to a list of those. The options should be the ones you'll
+// detect with, since they change the scores. The box curve is fitted to every
+// box, including those below the minimum confidence, apart from lines with fewer
+// than two characters: those get 0 whatever the curve. The image's score only
+// counts the boxes above the minimum confidence, since those are all that has_text
+// sees when detecting. That takes a second run of the detector.
+
+recognize_text.calibrate = function (samples, options) {
+  var examples = [];
+  for (var i = 0, l = samples.length; i < l; ++i)
+    examples.push(recognize_text.calibration_examples(samples[i].image_data,
+                                                      samples[i].annotation, options));
+  return recognize_text.fit_calibration(examples);
+};
+
+recognize_text.calibration_examples = function (image_data, annotation, options) {
+  var threshold = options && options.thresholds && options.thresholds[0] || 0.5;
+  var result    = recognize_text(image_data, recognize_text.with_options(options,
+                                                                         {minimum_confidence: 1e-9}));
+  var visible   = recognize_text.boxes(recognize_text(image_data, options), 'lines');
+  var detected  = recognize_text.boxes(result, 'lines');
+  var expected  = recognize_text.boxes(annotation, 'lines');
+  var matched   = recognize_text.match_boxes(detected, expected, threshold).matches;
+
+  var boxes = detected.map(function (box) {
+    for (var i = 0, l = matched.length; i < l; ++i)
+      if (matched[i].detected === box) return {score: box.score, text: true};
+    return {score: box.score, text: false};
+  });
+
+  return {boxes: boxes, image: {score: recognize_text.image_score(visible),
+                                 text:  expected.length > 0}};
+};
+
+// An image with a score of 0 gets a has_text of 0 whatever the curve, so the
+// image curve is fitted to the rest, as long as they include images both with and
+// without text. Blank and textured images where nothing counts, and faint pages
+// where nothing was found, sit so far below every other score that they would
+// otherwise flatten the curve where it matters.
+
+recognize_text.fit_calibration = function (examples) {
+  var boxes = [], images = [], scored = [], positives = 0;
+  for (var i = 0, l = examples.length; i < l; ++i)
+    boxes.push.apply(boxes, examples[i].boxes),
+    images.push(examples[i].image);
+
+  for (var i = 0, l = images.length; i < l; ++i)
+    if (images[i].score > 0) scored.push(images[i]), positives += images[i].text ? 1 : 0;
+
+  return {boxes:  recognize_text.fit_curve(boxes),
+          images: recognize_text.fit_curve(positives && positives < scored.length ? scored
+                                                                                  : images)};
+};
+
+// Fitting a curve.
+// fit_curve(examples) is logistic regression with one input, log(score), solved
+// by Newton's method. Newton steps can overshoot when the classes are far apart,
+// so a step that doesn't improve the fit is halved until it does. A slight
+// penalty on the slope keeps it finite when the examples are perfectly separable,
+// which a small set of clean pages often is.
+// A score of zero, usually an image where nothing was found, has no logarithm,
+// so it's counted as 0.001 instead; the detector gives it a probability of zero
+// whatever the curve, but it still tells the fit that low scores mean no text.
+// If every example is on the same side there's nothing to fit, so we throw.
+
+recognize_text.fit_curve = function (examples) {
+  var xs = [], ys = [], positives = 0;
+  for (var i = 0, l = examples.length; i < l; ++i)
+    xs.push(Math.log(Math.max(examples[i].score, 0.001))),
+    ys.push(examples[i].text ? 1 : 0),
+    positives += ys[i];
+
+  if (!positives || positives === xs.length)
+    throw new Error('calibration needs examples both with and without text');
+
+  var penalty    = 1e-3 * xs.length;
+  var likelihood = function (slope, intercept) {
+    for (var i = 0, l = xs.length, sum = -penalty * slope * slope / 2; i < l; ++i) {
+      var z = slope * xs[i] + intercept;
+      sum -= Math.log(1 + Math.exp(ys[i] ? -z : z));
+    }
+    return sum;
+  };
+
+  var slope = 0, intercept = 0, current = likelihood(0, 0);
+  for (var iteration = 0; iteration < 100; ++iteration) {
+    // Gradient and Hessian of the penalized log-likelihood.
+    var gs = -penalty * slope, gi = 0, hss = -penalty, hsi = 0, hii = 0;
+    for (var i = 0, l = xs.length; i < l; ++i) {
+      var p = 1 / (1 + Math.exp(-(slope * xs[i] + intercept)));
+      var r = ys[i] - p, v = p * (1 - p);
+      gs  += r * xs[i],         gi  += r;
+      hss -= v * xs[i] * xs[i], hsi -= v * xs[i], hii -= v;
+    }
+
+    var determinant = hss * hii - hsi * hsi;
+    var ds = (gs * hii - gi * hsi) / determinant,
+        di = (gi * hss - gs * hsi) / determinant;
+
+    for (var step = 1, next; step > 1e-6; step /= 2)
+      if ((next = likelihood(slope - step * ds, intercept - step * di)) >= current) break;
+    if (!(step > 1e-6)) break;
+
+    slope -= step * ds, intercept -= step * di;
+    if (next - current < 1e-12) break;
+    current = next;
+  }
+
+  return {slope: slope, intercept: intercept};
+};
+
+if (typeof module === 'object' && module.exports) module.exports = recognize_text;
+// Generated by SDoc 
@@ -0,0 +1,364 @@
+// Export formats | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// Serializers that turn a recognize_text() result into formats other tools read:
+// hOCR, ALTO XML, PAGE XML, an SVG overlay and COCO JSON. Each takes the result
+// and a description of the page, and returns the document as a string:
+
+// | var result = recognize_text(image_data);
+//   var page   = {width: image_data.width, height: image_data.height, file: 'page1.png'};
+//   var hocr   = recognize_text.to_hocr(result, page);
+
+// Only width and height are required; file is the image's name, which the
+// formats that refer to their image (all but SVG) record. to_coco() also accepts
+// an id for the image, which is useful when combining several pages into one
+// dataset.
+
+// The XML formats all describe a page as blocks of lines of words of characters,
+// so the lines are grouped with recognize_text.layout() (see layout.js) and the
+// blocks are written in reading order. Words and characters are written if the
+// result has them. Boxes from deskewed detection are written as rotated polygons
+// where the format has polygons (PAGE, SVG and COCO) and as their axis-aligned
+// bounds elsewhere. The detector doesn't know what the text says, but boxes with
+// a text field (like those from synthesize() or an annotation file) have it
+// written out; without one, the text is left empty.
+
+// The formats are also listed by name in recognize_text.exporters, with the file
+// extension and MIME type to use for each, so that a program can offer all of them:
+
+// | for (var name in recognize_text.exporters) {
+//     var exporter = recognize_text.exporters[name];
+//     save(name + exporter.extension, exporter.type, exporter.serialize(result, page));
+//   }
+
+// This needs recognize-text.js and layout.js to be loaded first; under Node it
+// loads them itself and exports recognize_text with the serializers attached.
+
+var recognize_text = typeof module === 'object' && module.exports
+  ? require('./layout.js')
+  : recognize_text;
+
+recognize_text.exporters = {
+  hocr: {extension: '.hocr', type: 'text/html',        serialize: function (r, p) {return recognize_text.to_hocr(r, p)}},
+  alto: {extension: '.xml',  type: 'application/xml',  serialize: function (r, p) {return recognize_text.to_alto(r, p)}},
+  page: {extension: '.xml',  type: 'application/xml',  serialize: function (r, p) {return recognize_text.to_page_xml(r, p)}},
+  svg:  {extension: '.svg',  type: 'image/svg+xml',    serialize: function (r, p) {return recognize_text.to_svg(r, p)}},
+  coco: {extension: '.json', type: 'application/json', serialize: function (r, p) {return recognize_text.to_coco(r, p)}}
+};
+
+// The hOCR format.
+// An XHTML document with an ocr_page containing an ocr_carea and ocr_par for
+// each block, then ocr_line and ocrx_word elements. Coordinates are rounded to
+// whole pixels as hOCR requires, and confidences become x_wconf percentages.
+// Words inherit their line's confidence. Character boxes go in each word's
+// x_bboxes property.
+
+recognize_text.to_hocr = function (result, page) {
+  var tree  = recognize_text.layout(result);
+  var out   = [];
+  var title = function (box, extra) {
+    return ' title="' + recognize_text.xml_escape(['bbox ' + recognize_text.corners(box).join(' ')].concat(extra || []).join('; ')) + '"';
+  };
+  var wconf = function (box) {
+    return box.confidence === undefined ? [] : ['x_wconf ' + Math.round(box.confidence * 100)];
+  };
+
+  out.push('<?xml version="1.0" encoding="UTF-8"?>',
+           '<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN"',
+           '    "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">',
+           '<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="en" lang="en">',
+           ' <head>',
+           '  <title>' + recognize_text.xml_escape(page.file || '') + '</title>',
+           '  <meta http-equiv="Content-Type" content="text/html;charset=utf-8"/>',
+           '  <meta name="ocr-system" content="recognize-text"/>',
+           '  <meta name="ocr-capabilities" content="ocr_page ocr_carea ocr_par ocr_line ocrx_word"/>',
+           ' </head>',
+           ' <body>',
+           '  <div class="ocr_page" id="page_1"' +
+             title({x: 0, y: 0, w: page.width, h: page.height},
+                   page.file ? ['image "' + page.file + '"'] : []) + '>');
+
+  tree.blocks.forEach(function (block, b) {
+    out.push('   <div class="ocr_carea" id="block_' + (b + 1) + '"' + title(block) + '>',
+             '    <p class="ocr_par" id="par_' + (b + 1) + '"' + title(block) + '>');
+
+    block.lines.forEach(function (line, l) {
+      var id    = (b + 1) + '_' + (l + 1);
+      var words = line.words || [];
+
+      out.push('     <span class="ocr_line" id="line_' + id + '"' + title(line, wconf(line)) + '>' +
+               (words.length ? '' : recognize_text.xml_escape(recognize_text.box_text(line) || '')));
+
+      words.forEach(function (word, w) {
+        var bboxes = word.chars ? ['x_bboxes ' + word.chars.map(function (c) {
+                                     return recognize_text.corners(c).join(' ');
+                                   }).join(' ')]
+                                : [];
+        out.push('      <span class="ocrx_word" id="word_' + id + '_' + (w + 1) + '"' +
+                 title(word, wconf(word.confidence === undefined ? line : word).concat(bboxes)) + '>' +
+                 recognize_text.xml_escape(recognize_text.box_text(word) || '') + '</span>');
+      });
+
+      out.push('     </span>');
+    });
+
+    out.push('    </p>', '   </div>');
+  });
+
+  out.push('  </div>', ' </body>', '</html>');
+  return out.join('\n') + '\n';
+};
+
+// ALTO.
+// ALTO version 4, measured in pixels (to two decimal places, since deskewed boxes
+// aren't on whole pixels). Blocks become TextBlocks inside the page's PrintSpace,
+// and lines become TextLines. ALTO requires a line to contain at least one
+// String, so a line without words is written as a single String covering it.
+// Characters become Glyphs, and confidences (inherited by words from their lines)
+// become WC attributes.
+
+recognize_text.to_alto = function (result, page) {
+  var tree  = recognize_text.layout(result);
+  var out   = [];
+  var attrs = function (id, box) {
+    return ' ID="' + id + '" HPOS="' + +box.x.toFixed(2) + '" VPOS="' + +box.y.toFixed(2) +
+           '" WIDTH="' + +box.w.toFixed(2) + '" HEIGHT="' + +box.h.toFixed(2) + '"';
+  };
+  var wc = function (box) {
+    return box.confidence === undefined ? '' : ' WC="' + +box.confidence.toFixed(4) + '"';
+  };
+  var content = function (box) {
+    return ' CONTENT="' + recognize_text.xml_escape(recognize_text.box_text(box) || '') + '"';
+  };
+
+  out.push('<?xml version="1.0" encoding="UTF-8"?>',
+           '<alto xmlns="http://www.loc.gov/standards/alto/ns-v4#"',
+           '      xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+           '      xsi:schemaLocation="http://www.loc.gov/standards/alto/ns-v4# http://www.loc.gov/alto/v4/alto-4-2.xsd">',
+           ' <Description>',
+           '  <MeasurementUnit>pixel</MeasurementUnit>',
+           '  <sourceImageInformation>',
+           '   <fileName>' + recognize_text.xml_escape(page.file || '') + '</fileName>',
+           '  </sourceImageInformation>',
+           ' </Description>',
+           ' <Layout>',
+           '  <Page ID="page_1" PHYSICAL_IMG_NR="1" WIDTH="' + page.width + '" HEIGHT="' + page.height + '">',
+           '   <PrintSpace' + attrs('space_1', tree) + '>');
+
+  tree.blocks.forEach(function (block, b) {
+    out.push('    <TextBlock' + attrs('block_' + (b + 1), block) + '>');
+
+    block.lines.forEach(function (line, l) {
+      var id    = (b + 1) + '_' + (l + 1);
+      var words = line.words && line.words.length ? line.words : [line];
+
+      out.push('     <TextLine' + attrs('line_' + id, line) + '>');
+      words.forEach(function (word, w) {
+        var string = '      <String' + attrs('string_' + id + '_' + (w + 1), word) + content(word) +
+                     wc(word.confidence === undefined ? line : word);
+
+        if (w) out.push('      <SP/>');
+        if (!word.chars || !word.chars.length || word === line) return out.push(string + '/>');
+
+        out.push(string + '>');
+        word.chars.forEach(function (c, i) {
+          out.push('       <Glyph' + attrs('glyph_' + id + '_' + (w + 1) + '_' + (i + 1), c) + content(c) + '/>');
+        });
+        out.push('      </String>');
+      });
+      out.push('     </TextLine>');
+    });
+
+    out.push('    </TextBlock>');
+  });
+
+  out.push('   </PrintSpace>', '  </Page>', ' </Layout>', '</alto>');
+  return out.join('\n') + '\n';
+};
+
+// PAGE XML.
+// The 2019-07-15 version of the PAGE format. Blocks become TextRegions, listed in
+// reading order in the page's ReadingOrder, and lines, words and characters
+// become TextLines, Words and Glyphs. Coordinates are polygons of whole pixels;
+// confidences go on the Coords. Text is written as TextEquiv wherever it's known,
+// and page.created sets the creation date recorded in the metadata (the current
+// time by default).
+
+recognize_text.to_page_xml = function (result, page) {
+  var tree    = recognize_text.layout(result);
+  var created = (page.created || new Date()).toISOString().replace(/\.\d+Z$/, '');
+  var out     = [];
+  var coords  = function (indent, box, confidence) {
+    return indent + '<Coords points="' + recognize_text.polygon(box).map(function (p) {
+             return Math.round(p[0]) + ',' + Math.round(p[1]);
+           }).join(' ') + '"' + (confidence === undefined ? '' : ' conf="' + +confidence.toFixed(4) + '"') + '/>';
+  };
+  var text = function (indent, box) {
+    var t = recognize_text.box_text(box);
+    return t === null ? [] : [indent + '<TextEquiv><Unicode>' + recognize_text.xml_escape(t) + '</Unicode></TextEquiv>'];
+  };
+
+  out.push('<?xml version="1.0" encoding="UTF-8"?>',
+           '<PcGts xmlns="http://schema.primaresearch.org/PAGE/gts/pagecontent/2019-07-15"',
+           '       xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+           '       xsi:schemaLocation="http://schema.primaresearch.org/PAGE/gts/pagecontent/2019-07-15' +
+                   ' http://schema.primaresearch.org/PAGE/gts/pagecontent/2019-07-15/pagecontent.xsd">',
+           ' <Metadata>',
+           '  <Creator>recognize-text</Creator>',
+           '  <Created>' + created + '</Created>',
+           '  <LastChange>' + created + '</LastChange>',
+           ' </Metadata>',
+           ' <Page imageFilename="' + recognize_text.xml_escape(page.file || '') + '"' +
+             ' imageWidth="' + page.width + '" imageHeight="' + page.height + '">');
+
+  if (tree.blocks.length)
+    out.push('  <ReadingOrder>', '   <OrderedGroup id="reading_order">');
+  tree.blocks.forEach(function (block, b) {
+    out.push('    <RegionRefIndexed index="' + b + '" regionRef="region_' + (b + 1) + '"/>');
+  });
+  if (tree.blocks.length)
+    out.push('   </OrderedGroup>', '  </ReadingOrder>');
+
+  tree.blocks.forEach(function (block, b) {
+    out.push('  <TextRegion id="region_' + (b + 1) + '" type="paragraph">', coords('   ', block));
+
+    block.lines.forEach(function (line, l) {
+      var id = (b + 1) + '_' + (l + 1);
+      out.push('   <TextLine id="line_' + id + '">', coords('    ', line, line.confidence));
+
+      (line.words || []).forEach(function (word, w) {
+        out.push('    <Word id="word_' + id + '_' + (w + 1) + '">', coords('     ', word, word.confidence));
+        (word.chars || []).forEach(function (c, i) {
+          out.push.apply(out, ['     <Glyph id="glyph_' + id + '_' + (w + 1) + '_' + (i + 1) + '">',
+                               coords('      ', c)].concat(text('      ', c), ['     </Glyph>']));
+        });
+        out.push.apply(out, text('     ', word).concat(['    </Word>']));
+      });
+
+      out.push.apply(out, text('    ', line).concat(['   </TextLine>']));
+    });
+
+    out.push('  </TextRegion>');
+  });
+
+  out.push(' </Page>', '</PcGts>');
+  return out.join('\n') + '\n';
+};
+
+// SVG overlay.
+// An SVG the size of the page with a transparent background, so it can be laid
+// over the image (in HTML, or as a layer in an image editor). It uses the test
+// bench's colors: lines are red with their confidence as opacity, words blue and
+// characters fainter blue. Each group has a class (lines, words and chars) for
+// styling.
+
+recognize_text.to_svg = function (result, page) {
+  var boxes = result.lines || result.cells || [];
+  var words = [], chars = [];
+  var shape = function (box, extra) {
+    return '  <polygon points="' + recognize_text.polygon(box).map(function (p) {
+             return +p[0].toFixed(2) + ',' + +p[1].toFixed(2);
+           }).join(' ') + '"' + (extra || '') + '/>';
+  };
+
+  boxes.forEach(function (line) {
+    (line.words || []).forEach(function (word) {
+      words.push(word);
+      chars.push.apply(chars, word.chars || []);
+    });
+  });
+
+  return ['<?xml version="1.0" encoding="UTF-8"?>',
+          '<svg xmlns="http://www.w3.org/2000/svg" width="' + page.width + '" height="' + page.height + '"' +
+            ' viewBox="0 0 ' + page.width + ' ' + page.height + '">',
+          ' <g class="lines" fill="none" stroke="rgb(255,0,0)">']
+    .concat(boxes.map(function (line) {
+      return shape(line, ' stroke-opacity="' + +(line.confidence || 0.1).toFixed(4) + '"');
+    }))
+    .concat([' </g>', ' <g class="words" fill="none" stroke="rgb(0,128,255)" stroke-opacity="0.8">'])
+    .concat(words.map(function (word) {return shape(word)}))
+    .concat([' </g>', ' <g class="chars" fill="none" stroke="rgb(0,128,255)" stroke-opacity="0.3">'])
+    .concat(chars.map(function (c) {return shape(c)}))
+    .concat([' </g>', '</svg>'])
+    .join('\n') + '\n';
+};
+
+// COCO.
+// An object detection dataset in the COCO format with one image and three
+// categories: line, word and char. Every box is an annotation with an axis-aligned
+// bbox and a polygon segmentation; line confidences are written as scores, as in
+// COCO's results format, and words and characters inherit their line's. page.id
+// is the image id (1 by default), and annotation ids count up from 1.
+
+recognize_text.coco_categories = [{id: 1, name: 'line', supercategory: 'text'},
+                                  {id: 2, name: 'word', supercategory: 'text'},
+                                  {id: 3, name: 'char', supercategory: 'text'}];
+
+recognize_text.to_coco = function (result, page) {
+  var image       = page.id === undefined ? 1 : page.id;
+  var annotations = [];
+  var annotate    = function (box, category, score) {
+    annotations.push({id:           annotations.length + 1,
+                      image_id:     image,
+                      category_id:  category,
+                      bbox:         [box.x, box.y, box.w, box.h],
+                      area:         box.rotated ? box.rotated.w * box.rotated.h : box.w * box.h,
+                      segmentation: [[].concat.apply([], recognize_text.polygon(box))],
+                      iscrowd:      0,
+                      score:        box.confidence === undefined ? score : box.confidence});
+  };
+
+  (result.lines || result.cells || []).forEach(function (line) {
+    annotate(line, 1, 1);
+    (line.words || []).forEach(function (word) {
+      annotate(word, 2, line.confidence);
+      (word.chars || []).forEach(function (c) {annotate(c, 3, line.confidence)});
+    });
+  });
+
+  return JSON.stringify({info:        {description: 'recognize-text'},
+                         images:      [{id: image, file_name: page.file || '', width: page.width, height: page.height}],
+                         categories:  recognize_text.coco_categories,
+                         annotations: annotations});
+};
+
+// Helpers.
+// polygon(box) is a box's corners, clockwise from the top left, taking its
+// rotation into account (see deskewed detection in recognize-text.js).
+// corners(box) is its axis-aligned bounds as [x0, y0, x1, y1], rounded outwards.
+// box_text(box) is the box's text, or if it has no text field, that of its words
+// (separated by spaces) or characters; it's null if any part is unknown.
+
+recognize_text.polygon = function (box) {
+  var r = box.rotated;
+  if (!r) return [[box.x, box.y], [box.x + box.w, box.y], [box.x + box.w, box.y + box.h], [box.x, box.y + box.h]];
+
+  var cos = Math.cos(r.angle), sin = Math.sin(r.angle);
+  return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(function (corner) {
+    var dx = corner[0] * r.w / 2, dy = corner[1] * r.h / 2;
+    return [r.cx + dx * cos - dy * sin, r.cy + dx * sin + dy * cos];
+  });
+};
+
+recognize_text.corners = function (box) {
+  return [Math.floor(box.x), Math.floor(box.y), Math.ceil(box.x + box.w), Math.ceil(box.y + box.h)];
+};
+
+recognize_text.box_text = function (box) {
+  if (typeof box.text === 'string') return box.text;
+
+  var parts = box.words || box.chars;
+  if (!parts || !parts.length) return null;
+
+  var texts = parts.map(recognize_text.box_text);
+  return texts.indexOf(null) >= 0 ? null : texts.join(box.words ? ' ' : '');
+};
+
+recognize_text.xml_escape = function (s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+                  .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+};
+
+if (typeof module === 'object' && module.exports) module.exports = recognize_text;
+// Generated by SDoc 
@@ -0,0 +1,326 @@
+// Image decoding for Node | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// recognize_text() takes anything shaped like a canvas ImageData object: {width,
+// height, data}, where data holds four bytes (RGBA) per pixel. Browsers give us
+// that for free, but on a server we need to decode image files ourselves. This
+// module reads PNG and the simple netpbm formats (PBM, PGM and PPM, both ASCII
+// and binary) without depending on anything outside of Node's standard library.
+// The only thing we borrow is zlib, which PNG uses for its compressed payload.
+
+// | var image_io   = require('./image-io');
+//   var image_data = image_io.decode(require('fs').readFileSync('page.png'));
+
+var zlib = require('zlib');
+
+// Format detection.
+// Both formats announce themselves in their first few bytes, so we sniff the
+// header rather than trusting file extensions.
+
+var png_signature = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+var is_png = function (buffer) {
+  for (var i = 0; i < png_signature.length; ++i)
+    if (buffer[i] !== png_signature[i]) return false;
+  return true;
+};
+
+var is_pnm = function (buffer) {
+  return buffer[0] === 0x50 && buffer[1] >= 0x31 && buffer[1] <= 0x36;
+};
+
+var decode = function (buffer) {
+  if (is_png(buffer)) return decode_png(buffer);
+  if (is_pnm(buffer)) return decode_pnm(buffer);
+  throw new Error('image-io: unrecognized image format (expected PNG, PBM, ' +
+                  'PGM or PPM)');
+};
+
+var image = function (width, height) {
+  return {width:  width,
+          height: height,
+          data:   new Uint8ClampedArray(width * height << 2)};
+};
+
+// PNG decoding.
+// A PNG file is a signature followed by a series of chunks, each of which is a
+// big-endian length, a four-character type, the payload and a CRC. We care about
+// four of them: IHDR describes the image, PLTE and tRNS supply the palette and
+// transparency, and the concatenated IDAT chunks hold the zlib-compressed,
+// filtered scanlines. Everything else is ancillary and can be ignored.
+
+var decode_png = function (buffer) {
+  var header       = null;
+  var palette      = null;
+  var transparency = null;
+  var compressed   = [];
+
+  for (var offset = 8; offset + 8 <= buffer.length;) {
+    var length = buffer.readUInt32BE(offset);
+    var type   = buffer.toString('ascii', offset + 4, offset + 8);
+    var chunk  = buffer.slice(offset + 8, offset + 8 + length);
+    offset += length + 12;
+
+    if      (type === 'IHDR') header       = chunk;
+    else if (type === 'PLTE') palette      = chunk;
+    else if (type === 'tRNS') transparency = chunk;
+    else if (type === 'IDAT') compressed.push(chunk);
+    else if (type === 'IEND') break;
+  }
+
+  if (!header) throw new Error('image-io: PNG has no IHDR chunk');
+
+  var png = {width:        header.readUInt32BE(0),
+             height:       header.readUInt32BE(4),
+             depth:        header[8],
+             color_type:   header[9],
+             interlaced:   header[12] === 1,
+             palette:      palette,
+             transparency: transparency};
+
+  png.channels = {0: 1, 2: 3, 3: 1, 4: 2, 6: 4}[png.color_type];
+  if (!png.channels)
+    throw new Error('image-io: unsupported PNG color type ' + png.color_type);
+  if (png.color_type === 3 && !palette)
+    throw new Error('image-io: indexed PNG has no palette');
+
+  var raw    = zlib.inflateSync(Buffer.concat(compressed));
+  var result = image(png.width, png.height);
+
+  // Non-interlaced images are a single pass covering every pixel. Adam7
+  // splits the image into seven sparser passes, each of which is filtered
+  // independently; the pass table gives the starting offset and stride for
+  // x and y.
+  var passes = png.interlaced ? [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8],
+                                 [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2],
+                                 [0, 1, 1, 2]]
+                              : [[0, 0, 1, 1]];
+
+  for (var i = 0, position = 0; i < passes.length; ++i) {
+    var pass = passes[i];
+    var pw   = Math.ceil((png.width  - pass[0]) / pass[2]);
+    var ph   = Math.ceil((png.height - pass[1]) / pass[3]);
+    if (pw <= 0 || ph <= 0) continue;
+
+    var stride = Math.ceil(pw * png.channels * png.depth / 8);
+    var rows   = unfilter(raw, position, pw, ph, stride, png);
+    position += (stride + 1) * ph;
+
+    for (var y = 0; y < ph; ++y)
+      for (var x = 0; x < pw; ++x)
+        store_pixel(result.data,
+                    (pass[1] + y * pass[3]) * png.width + pass[0] + x * pass[2],
+                    rows, y * stride, x, png);
+  }
+
+  return result;
+};
+
+// Scanline filters.
+// Each scanline is prefixed with a filter byte that says how its bytes were
+// predicted from their neighbours. Prediction operates on bytes, not pixels; the
+// "left" neighbour is the corresponding byte of the previous pixel, which is at
+// least one byte back even for sub-byte depths.
+
+var unfilter = function (raw, position, width, height, stride, png) {
+  var bpp  = Math.max(1, png.channels * png.depth >> 3);
+  var rows = Buffer.alloc(stride * height);
+
+  for (var y = 0; y < height; ++y) {
+    var filter = raw[position + y * (stride + 1)];
+    var input  = position + y * (stride + 1) + 1;
+    var row    = y * stride;
+    var prior  = row - stride;
+
+    for (var i = 0; i < stride; ++i) {
+      var a = i >= bpp         ? rows[row + i - bpp]   : 0;
+      var b = y > 0            ? rows[prior + i]       : 0;
+      var c = i >= bpp && y > 0 ? rows[prior + i - bpp] : 0;
+      var v = raw[input + i];
+
+      if      (filter === 1) v += a;
+      else if (filter === 2) v += b;
+      else if (filter === 3) v += a + b >> 1;
+      else if (filter === 4) v += paeth(a, b, c);
+      else if (filter !== 0)
+        throw new Error('image-io: invalid PNG filter type ' + filter);
+
+      rows[row + i] = v & 0xff;
+    }
+  }
+
+  return rows;
+};
+
+var paeth = function (a, b, c) {
+  var p  = a + b - c;
+  var pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+};
+
+// Pixel conversion.
+// Samples can be anywhere from one to sixteen bits wide. We read sample n of the
+// row and scale it to eight bits, then expand gray, gray+alpha, palette and RGB
+// pixels into RGBA. A tRNS chunk marks either a single transparent gray/RGB value
+// or per-entry palette alpha.
+
+var sample = function (rows, row, n, depth) {
+  if (depth === 8)  return rows[row + n];
+  if (depth === 16) return rows[row + (n << 1)];
+
+  var bit = n * depth;
+  return rows[row + (bit >> 3)] >> 8 - depth - (bit & 7) & (1 << depth) - 1;
+};
+
+var raw_sample = function (rows, row, n, depth) {
+  return depth === 16 ? rows.readUInt16BE(row + (n << 1))
+                      : sample(rows, row, n, depth);
+};
+
+var store_pixel = function (data, pixel, rows, row, x, png) {
+  var o     = pixel << 2;
+  var n     = x * png.channels;
+  var depth = png.depth;
+  var scale = depth >= 8 ? 1 : 255 / ((1 << depth) - 1);
+  var t     = png.transparency;
+
+  switch (png.color_type) {
+    case 0:
+      data[o] = data[o + 1] = data[o + 2] = sample(rows, row, n, depth) * scale;
+      data[o + 3] = t && raw_sample(rows, row, n, depth) === t.readUInt16BE(0)
+                    ? 0 : 255;
+      break;
+
+    case 2:
+      data[o]     = sample(rows, row, n,     depth);
+      data[o + 1] = sample(rows, row, n + 1, depth);
+      data[o + 2] = sample(rows, row, n + 2, depth);
+      data[o + 3] = t && raw_sample(rows, row, n,     depth) === t.readUInt16BE(0)
+                      && raw_sample(rows, row, n + 1, depth) === t.readUInt16BE(2)
+                      && raw_sample(rows, row, n + 2, depth) === t.readUInt16BE(4)
+                    ? 0 : 255;
+      break;
+
+    case 3:
+      var index = sample(rows, row, n, depth);
+      data[o]     = png.palette[index * 3];
+      data[o + 1] = png.palette[index * 3 + 1];
+      data[o + 2] = png.palette[index * 3 + 2];
+      data[o + 3] = t && index < t.length ? t[index] : 255;
+      break;
+
+    case 4:
+      data[o] = data[o + 1] = data[o + 2] = sample(rows, row, n, depth);
+      data[o + 3] = sample(rows, row, n + 1, depth);
+      break;
+
+    case 6:
+      data[o]     = sample(rows, row, n,     depth);
+      data[o + 1] = sample(rows, row, n + 1, depth);
+      data[o + 2] = sample(rows, row, n + 2, depth);
+      data[o + 3] = sample(rows, row, n + 3, depth);
+      break;
+  }
+};
+
+// Netpbm decoding.
+// The header is a magic number followed by whitespace-separated decimal fields:
+// width, height and (except for bitmaps) the maximum sample value. Comments start
+// with # and run to the end of the line. P1-P3 store samples as ASCII decimals;
+// P4-P6 store them as raw bytes (or big-endian 16-bit words when the maximum
+// exceeds 255). Bitmaps use 1 for black, which is the reverse of what you'd
+// expect, and ASCII bitmaps are allowed to omit the whitespace between digits.
+// A file that ends before all of its samples is an error rather than an image
+// padded out with black.
+
+var decode_pnm = function (buffer) {
+  var kind     = buffer[1] - 0x30;
+  var position = 2;
+
+  var field = function (single_digit) {
+    for (;;) {
+      while (position < buffer.length && /\s/.test(String.fromCharCode(buffer[position])))
+        ++position;
+      if (buffer[position] !== 0x23) break;
+      while (position < buffer.length && buffer[position] !== 0x0a) ++position;
+    }
+
+    for (var start = position;
+         position < buffer.length && buffer[position] >= 0x30 && buffer[position] <= 0x39
+                                  && !(single_digit && position > start);
+         ++position);
+
+    if (start === position)
+      throw new Error('image-io: malformed netpbm header or data');
+    return +buffer.toString('ascii', start, position);
+  };
+
+  var width    = field();
+  var height   = field();
+  var bitmap   = kind === 1 || kind === 4;
+  var maximum  = bitmap ? 1 : field();
+  var channels = kind === 3 || kind === 6 ? 3 : 1;
+  var ascii    = kind <= 3;
+  var wide     = maximum > 255;
+  var result   = image(width, height);
+  var data     = result.data;
+
+  // Binary formats have exactly one whitespace byte between the header and
+  // the sample data.
+  if (!ascii) ++position;
+
+  var bitmap_row = width + 7 >> 3;
+  var size       = bitmap ? bitmap_row * height : width * height * channels * (wide ? 2 : 1);
+  if (!ascii && buffer.length - position < size)
+    throw new Error('image-io: netpbm data is truncated (expected ' + size + ' bytes, found ' +
+                    Math.max(0, buffer.length - position) + ')');
+
+  var read = ascii ? field
+           : wide  ? function () {return buffer.readUInt16BE((position += 2) - 2)}
+           :         function () {return buffer[position++]};
+
+  for (var y = 0; y < height; ++y)
+    for (var x = 0; x < width; ++x) {
+      var o = y * width + x << 2;
+
+      if (bitmap) {
+        var bit = ascii ? field(true)
+                        : buffer[position + y * bitmap_row + (x >> 3)] >> 7 - (x & 7) & 1;
+        data[o] = data[o + 1] = data[o + 2] = bit ? 0 : 255;
+      } else if (channels === 1)
+        data[o] = data[o + 1] = data[o + 2] = read() * 255 / maximum;
+      else
+        data[o]     = read() * 255 / maximum,
+        data[o + 1] = read() * 255 / maximum,
+        data[o + 2] = read() * 255 / maximum;
+
+      data[o + 3] = 255;
+    }
+
+  return result;
+};
+
+// Netpbm encoding.
+// encode_ppm(image_data) goes the other way, for tools that write images: it
+// produces a binary PPM, the simplest format that every image viewer reads. Alpha
+// is dropped.
+
+var encode_ppm = function (image_data) {
+  var w = image_data.width, h = image_data.height, data = image_data.data;
+  var header = Buffer.from('P6\n' + w + ' ' + h + '\n255\n', 'ascii');
+  var pixels = Buffer.alloc(w * h * 3);
+
+  for (var i = 0, l = w * h; i < l; ++i)
+    pixels[i * 3]     = data[i << 2],
+    pixels[i * 3 + 1] = data[(i << 2) + 1],
+    pixels[i * 3 + 2] = data[(i << 2) + 2];
+
+  return Buffer.concat([header, pixels]);
+};
+
+module.exports = {decode:     decode,
+                  decode_png: decode_png,
+                  decode_pnm: decode_pnm,
+                  encode_ppm: encode_ppm};
+// Generated by SDoc 
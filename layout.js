@@ -0,0 +1,210 @@
+// Page layout | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// recognize_text() finds lines but says nothing about how they relate: which ones
+// form a paragraph, whether the page has columns, or what order to read them in.
+// layout(result, options) works that out from the line boxes alone and returns a
+// tree of page, blocks and lines, with the blocks in reading order:
+
+// | var page = recognize_text.layout(recognize_text(image_data));
+//   page.blocks.forEach(function (block) {
+//     block.lines.forEach(function (line) {...});
+//   });
+
+// The first argument can be a recognize_text() result or just an array of lines.
+// The lines in the tree are the same objects that were passed in, words and all.
+// The result looks like this:
+
+// | {x: 12, y: 20, w: 600, h: 440,
+//    columns: [{x: 12, y: 60, w: 290, h: 400}, {x: 322, y: 60, w: 290, h: 400}],
+//    blocks:  [{x: 12, y: 20, w: 600, h: 24, order: 0, column: null, lines: [...]},
+//              {x: 12, y: 60, w: 290, h: 180, order: 1, column: 0, lines: [...]},
+//              ...]}
+
+// The page's box is the one around all of the lines. columns is empty unless the
+// page (or some part of it) is laid out in columns; a block's column is the index
+// of the column it's in, or null if it isn't in one, like the heading above.
+
+// Like evaluate.js, this needs recognize-text.js to be loaded first, and under
+// Node it loads it itself and exports recognize_text with layout() attached.
+
+var recognize_text = typeof module === 'object' && module.exports
+  ? require('./recognize-text.js')
+  : recognize_text;
+
+// Options.
+// Distances are measured in line heights, using the median height of the lines
+// on the page, so the same settings work at any resolution. Two lines belong to
+// the same block if one is directly below the other with a gap of at most
+// block_spacing line heights, they overlap horizontally by at least alignment
+// times the narrower one's width, and neither is more than height_ratio times as
+// tall as the other (which keeps headings out of the paragraphs below them).
+// A vertical gap of at least column_gap line heights running all the way through
+// a group of blocks separates columns.
+
+recognize_text.layout_defaults = {
+  block_spacing: 1,
+  alignment:     0.5,
+  height_ratio:  1.5,
+  column_gap:    1.5
+};
+
+// Layout.
+// Blocks come first and don't depend on columns at all: lines in different
+// columns don't overlap horizontally, so they never join the same block. The
+// reading order then comes from cutting the page up recursively (see below).
+
+recognize_text.layout = function (result, options) {
+  var lines    = result.length !== undefined ? result : result.lines || result.cells || [];
+  var settings = recognize_text.with_options(recognize_text.layout_defaults, options);
+  var height   = recognize_text.median(lines.map(function (line) {return line.h})) || 1;
+
+  var blocks = recognize_text.layout_blocks(lines, settings, height);
+  var page   = recognize_text.bounds(lines);
+  page.columns = [];
+  page.blocks  = [];
+
+  recognize_text.xy_cut(blocks, null, settings.column_gap * height, function (block, column) {
+    if (column && column.index === undefined)
+      column.index = page.columns.length,
+      page.columns.push({x: column.x, y: column.y, w: column.w, h: column.h});
+
+    block.order  = page.blocks.length;
+    block.column = column ? column.index : null;
+    page.blocks.push(block);
+  });
+
+  return page;
+};
+
+// Grouping lines into blocks.
+// Each line is linked to the nearest line below it that it overlaps horizontally,
+// if the two are close enough and similar enough in height; blocks are then the
+// groups of linked lines, found with a union-find.
+
+recognize_text.layout_blocks = function (lines, settings, height) {
+  var sorted = lines.slice().sort(function (a, b) {return a.y - b.y || a.x - b.x});
+  var parent = [];
+  var find   = function (i) {return parent[i] === i ? i : parent[i] = find(parent[i])};
+
+  for (var i = 0, l = sorted.length; i < l; ++i) parent[i] = i;
+
+  for (var i = 0, l = sorted.length; i < l; ++i) {
+    var a = sorted[i];
+
+    for (var j = i + 1; j < l; ++j) {
+      var b = sorted[j];
+      if (b.y - (a.y + a.h) > settings.block_spacing * Math.max(a.h, b.h, height)) break;
+      if (b.y + b.h / 2 <= a.y + a.h / 2) continue;
+
+      var overlap = Math.min(a.x + a.w, b.x + b.w) - Math.max(a.x, b.x);
+      if (overlap < settings.alignment * Math.min(a.w, b.w)) continue;
+
+      if (b.y - (a.y + a.h) <= settings.block_spacing * Math.min(a.h, b.h) &&
+          Math.max(a.h, b.h) <= settings.height_ratio * Math.min(a.h, b.h))
+        parent[find(j)] = find(i);
+      break;
+    }
+  }
+
+  var groups = {}, blocks = [];
+  for (var i = 0, l = sorted.length, root; i < l; ++i)
+    (groups[root = find(i)] || (groups[root] = blocks[blocks.length] = [])).push(sorted[i]);
+
+  return blocks.map(function (lines) {
+    var box = recognize_text.bounds(lines);
+    return {x: box.x, y: box.y, w: box.w, h: box.h, order: null, column: null, lines: lines};
+  });
+};
+
+// Reading order.
+// xy_cut(blocks, column, gap, visit) is the recursive XY-cut. If a vertical gap
+// at least gap pixels wide runs through every block in the group, the group is
+// split into columns, read left to right; otherwise, if there's any horizontal gap
+// running across all of them, it's split into bands, read top to bottom. Each
+// part is cut again in the same way. A group that can't be cut is read top to
+// bottom. A heading that spans the columns blocks every vertical gap, so it gets
+// cut off as a band of its own before the columns are found. Paragraph breaks
+// that happen to line up across the columns would also cut them into bands, and
+// then the page would be read across the gutter, so neighbouring bands that are
+// split into columns by a gutter they share are put back together before being
+// cut again. visit(block, column) is called for each block in reading order,
+// where column is the innermost column part (a box) that contains it, or null.
+
+recognize_text.xy_cut = function (blocks, column, gap, visit) {
+  var columns = recognize_text.gaps(blocks, 'x', 'w', gap);
+  if (columns.length > 1) {
+    for (var i = 0; i < columns.length; ++i)
+      recognize_text.xy_cut(columns[i], recognize_text.bounds(columns[i]), gap, visit);
+    return;
+  }
+
+  var bands = recognize_text.gaps(blocks, 'y', 'h', 0), merged = [];
+  for (var i = 0; i < bands.length; ++i) {
+    var last = merged[merged.length - 1];
+    if (last && recognize_text.gaps(last, 'x', 'w', gap).length > 1
+             && recognize_text.gaps(bands[i], 'x', 'w', gap).length > 1
+             && recognize_text.gaps(last.concat(bands[i]), 'x', 'w', gap).length > 1)
+      merged[merged.length - 1] = last.concat(bands[i]);
+    else
+      merged.push(bands[i]);
+  }
+
+  if (merged.length > 1) {
+    for (var i = 0; i < merged.length; ++i)
+      recognize_text.xy_cut(merged[i], column, gap, visit);
+    return;
+  }
+
+  blocks.slice().sort(function (a, b) {return a.y - b.y || a.x - b.x}).forEach(function (block) {
+    visit(block, column);
+  });
+};
+
+// Finding gaps.
+// gaps(boxes, position, size, minimum) projects the boxes onto one axis and
+// splits them wherever the projection has a gap wider than minimum (or any gap at
+// all if minimum is zero). It returns the groups in order along the axis.
+
+recognize_text.gaps = function (boxes, position, size, minimum) {
+  var sorted = boxes.slice().sort(function (a, b) {return a[position] - b[position]});
+  var groups = [], end = -Infinity;
+
+  for (var i = 0, l = sorted.length, box; i < l; ++i) {
+    box = sorted[i];
+    if (!groups.length || box[position] - end > minimum && box[position] > end)
+      groups.push([]);
+    groups[groups.length - 1].push(box);
+    end = Math.max(end, box[position] + box[size]);
+  }
+
+  return groups;
+};
+
+// Helpers.
+// bounds(boxes) is the box around several boxes, or an empty box at the origin if
+// there aren't any, and median(xs) is the median of some numbers (0 if there
+// aren't any).
+
+recognize_text.bounds = function (boxes) {
+  if (!boxes.length) return {x: 0, y: 0, w: 0, h: 0};
+
+  var x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+  for (var i = 0, l = boxes.length, b; i < l; ++i)
+    b  = boxes[i],
+    x0 = Math.min(x0, b.x), x1 = Math.max(x1, b.x + b.w),
+    y0 = Math.min(y0, b.y), y1 = Math.max(y1, b.y + b.h);
+
+  return {x: x0, y: y0, w: x1 - x0, h: y1 - y0};
+};
+
+recognize_text.median = function (xs) {
+  if (!xs.length) return 0;
+  var sorted = xs.slice().sort(function (a, b) {return a - b});
+  var middle = sorted.length >> 1;
+  return sorted.length & 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+if (typeof module === 'object' && module.exports) module.exports = recognize_text;
+// Generated by SDoc 
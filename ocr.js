@@ -0,0 +1,367 @@
+// Template-matching character recognition | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// recognize_text() finds text but doesn't read it. For screenshots of terminals and
+// applications, where everything is drawn in one known font at one size, reading
+// is mostly a matter of comparing each character with pictures of the font's
+// glyphs. This does that in two steps. First, train_glyphs() cuts the glyphs out
+// of a sample image whose text is known:
+
+// | var glyphs = recognize_text.train_glyphs(sample_image_data, 'abcdefghijklm\nnopqrstuvwxyz');
+
+// Then read_text() reads inside the lines of a recognize_text() result, filling
+// in a text field on each line, word and character, and a confidence for each
+// word and character:
+
+// | var result = recognize_text.read_text(image_data, recognize_text(image_data), glyphs);
+//   result.lines[0].text                    // -> 'total 48'
+//   result.lines[0].words[0].chars[0]       // -> {x: 4, y: 3, w: 6, h: 9, text: 't', confidence: 0.97}
+
+// The glyph set is plain JSON, so it can be trained once and saved; see the
+// training section for its format. Because the comparison is pixel for pixel, the
+// text has to be the same size as in the sample, and antialiasing, subpixel
+// rendering or a different font will lower the confidences (which is what they're
+// for). Polarity doesn't matter: a glyph set trained on dark text reads light text
+// as well.
+
+// Results from deskewed detection can be read the same way. Their boxes have
+// fractional coordinates, and each word is read from the whole pixels its
+// axis-aligned box touches in the original image, so this is only reliable for
+// text that's straight or very nearly so (the detector leaves a skew too small to
+// matter at 0, in which case nothing is rotated):
+
+// | var result = recognize_text(image_data, {deskew: true});
+//   recognize_text.read_text(image_data, result, glyphs);
+//   result.skew                             // -> 0.002
+//   result.lines[0].text                    // -> 'total 48'
+
+// This needs recognize-text.js to be loaded first, and under Node it loads it
+// itself and exports recognize_text with these functions attached.
+
+var recognize_text = typeof module === 'object' && module.exports
+  ? require('./recognize-text.js')
+  : recognize_text;
+
+// Training.
+// The sample can be any image with the text on it in lines: each line of the text
+// argument (lines are separated by newlines, and blank ones are ignored) should
+// be one row of glyphs in the image. We binarize the whole sample, find the rows
+// of ink, and then cut each row into glyphs. If the row has exactly one run of
+// inked columns per non-space character, those runs are the glyphs; otherwise
+// (touching glyphs, or glyphs like " with gaps in them) the font has to be
+// monospaced, and the row is divided into equal cells, one per character. Rows of
+// ink separated by only a little space, like the dot on an i, are merged until
+// there are as many rows as lines of text.
+
+// The result looks like this:
+
+// | {pitch:  8,
+//    glyphs: [{text: 'a', top: -5, rows: ['.###.', '....#', '.####', '#...#', '.####']},
+//             ...]}
+
+// Each glyph's rows are its ink, tightly cropped, and top is the position of its
+// top row relative to the baseline (so it's negative for glyphs above the
+// baseline). pitch is the width of a character cell if the font is monospaced and
+// null otherwise. It's used to count the spaces between words. Monospacing is
+// detected by checking whether the glyphs' centers are evenly spaced; set
+// options.monospace to true or false to override that.
+
+recognize_text.train_glyphs = function (image_data, text, options) {
+  image_data = recognize_text.image_data(image_data, options);
+
+  var ink   = recognize_text.ink(image_data, {x: 0, y: 0, w: image_data.width, h: image_data.height});
+  var lines = text.split('\n').map(function (line) {return line.trim()})
+                              .filter(function (line) {return line.length});
+  var rows  = recognize_text.ink_rows(ink, lines.length);
+  var monospace = options && options.monospace;
+
+  if (rows.length !== lines.length)
+    throw new Error('the text has ' + lines.length + ' lines, but the sample has ' + rows.length + ' rows of glyphs');
+
+  var cells = [], centers = [];
+  lines.forEach(function (line, i) {
+    var row      = rows[i];
+    var runs     = recognize_text.ink_runs(ink, row[0], row[1], 0, ink.w);
+    var baseline = recognize_text.baseline(ink, runs, row[0], row[1]);
+    var visible  = line.replace(/\s/g, '');
+
+    if (runs.length === visible.length && monospace !== true) {
+      for (var j = 0, k = 0; j < line.length; ++j)
+        if (/\S/.test(line.charAt(j)))
+          cells.push({text: line.charAt(j), from: runs[k][0], to: runs[k][1], top: row[0], bottom: row[1], baseline: baseline}),
+          centers.push([j, (runs[k][0] + runs[k][1]) / 2, i]),
+          ++k;
+    } else {
+      if (monospace === false || !runs.length)
+        throw new Error('line ' + (i + 1) + ' of the sample has ' + runs.length + ' glyphs, but the text has '
+                        + visible.length + ' characters; is the font monospaced?');
+
+      var left  = runs[0][0], pitch = (runs[runs.length - 1][1] - left) / line.length;
+      for (var j = 0; j < line.length; ++j)
+        if (/\S/.test(line.charAt(j)))
+          cells.push({text: line.charAt(j), from: Math.round(left + j * pitch), to: Math.round(left + (j + 1) * pitch),
+                      top: row[0], bottom: row[1], baseline: baseline}),
+          centers.push([j, left + (j + 0.5) * pitch, i]);
+      monospace = true;
+    }
+  });
+
+  var pitch  = monospace === false ? null : recognize_text.pitch(centers);
+  var glyphs = [], seen = {};
+  cells.forEach(function (cell) {
+    var glyph = recognize_text.crop_glyph(ink, cell);
+    var key   = glyph && glyph.text + '\n' + glyph.top + '\n' + glyph.rows.join('\n');
+    if (glyph && !seen[key]) seen[key] = true, glyphs.push(glyph);
+  });
+
+  return {pitch: pitch, glyphs: glyphs};
+};
+
+// Rows, runs and baselines.
+// ink_rows(ink, count) returns the [top, bottom) ranges of rows containing ink,
+// merging the closest neighbors until there are at most count of them.
+// ink_runs(ink, top, bottom, from, to) returns the [from, to) ranges of inked
+// columns between those rows. baseline(ink, runs, top, bottom) is the row just
+// below the ink that most runs end on, which for ordinary text is the baseline.
+
+recognize_text.ink_rows = function (ink, count) {
+  var rows = [];
+  for (var y = 0, start = -1; y <= ink.h; ++y) {
+    var has_ink = false;
+    for (var x = 0; y < ink.h && x < ink.w && !has_ink; ++x) has_ink = ink.mask[y * ink.w + x] === 1;
+
+    if (has_ink && start < 0)   start = y;
+    if (!has_ink && start >= 0) rows.push([start, y]), start = -1;
+  }
+
+  while (rows.length > count && rows.length > 1) {
+    var closest = 1;
+    for (var i = 2; i < rows.length; ++i)
+      if (rows[i][0] - rows[i - 1][1] < rows[closest][0] - rows[closest - 1][1]) closest = i;
+    rows.splice(closest - 1, 2, [rows[closest - 1][0], rows[closest][1]]);
+  }
+
+  return rows;
+};
+
+recognize_text.ink_runs = function (ink, top, bottom, from, to) {
+  var runs = [];
+  for (var x = from, start = -1; x <= to; ++x) {
+    var has_ink = false;
+    for (var y = top; x < to && y < bottom && !has_ink; ++y) has_ink = ink.mask[y * ink.w + x] === 1;
+
+    if (has_ink && start < 0)   start = x;
+    if (!has_ink && start >= 0) runs.push([start, x]), start = -1;
+  }
+  return runs;
+};
+
+recognize_text.baseline = function (ink, runs, top, bottom) {
+  var votes = {}, best = bottom;
+  runs.forEach(function (run) {
+    for (var y = bottom; y > top; --y)
+      for (var x = run[0]; x < run[1]; ++x)
+        if (ink.mask[(y - 1) * ink.w + x]) {
+          votes[y] = (votes[y] || 0) + 1;
+          if (votes[y] > (votes[best] || 0)) best = y;
+          return;
+        }
+  });
+  return best;
+};
+
+// Cropping glyphs.
+// crop_glyph(ink, cell) cuts the ink in a cell down to its bounding box, or
+// returns null if there's no ink there.
+
+recognize_text.crop_glyph = function (ink, cell) {
+  var x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+  for (var y = cell.top; y < cell.bottom; ++y)
+    for (var x = cell.from; x < cell.to; ++x)
+      if (ink.mask[y * ink.w + x])
+        x0 = Math.min(x0, x), x1 = Math.max(x1, x + 1),
+        y0 = Math.min(y0, y), y1 = Math.max(y1, y + 1);
+
+  if (x0 > x1) return null;
+
+  var rows = [];
+  for (var y = y0; y < y1; ++y) {
+    var row = '';
+    for (var x = x0; x < x1; ++x) row += ink.mask[y * ink.w + x] ? '#' : '.';
+    rows.push(row);
+  }
+
+  return {text: cell.text, top: y0 - cell.baseline, rows: rows};
+};
+
+// Detecting monospace.
+// pitch(centers) takes [index, center, row] triples, fits center = offset + pitch
+// * index on each row (sharing the pitch), and returns the pitch if every center
+// is within a quarter of it of the fitted position, or null otherwise. A single
+// character can't show anything, so that also gives null.
+
+recognize_text.pitch = function (centers) {
+  var means = {}, sxy = 0, sxx = 0;
+  centers.forEach(function (c) {
+    var m = means[c[2]] || (means[c[2]] = {n: 0, index: 0, center: 0});
+    ++m.n, m.index += c[0], m.center += c[1];
+  });
+  centers.forEach(function (c) {
+    var m = means[c[2]], di = c[0] - m.index / m.n;
+    sxy += di * (c[1] - m.center / m.n), sxx += di * di;
+  });
+
+  if (!sxx) return null;
+
+  var pitch = sxy / sxx;
+  for (var i = 0; i < centers.length; ++i) {
+    var c = centers[i], m = means[c[2]];
+    if (Math.abs(m.center / m.n + pitch * (c[0] - m.index / m.n) - c[1]) > pitch / 4) return null;
+  }
+
+  return +pitch.toFixed(3);
+};
+
+// Reading.
+// Each line is binarized again (the same way as when it was found) and its
+// baseline found from the columns of ink. Then each word is read on its own (see
+// below), replacing its chars with the characters that were read. A line's text
+// is its words' texts separated by spaces. If the font is monospaced, though,
+// the detector's words don't matter: there are as many spaces between two
+// characters as there are empty cells between them, so columns in terminal output
+// survive, and two words the detector split apart at a wide gap (like the one
+// after a narrow 1) are joined again. Cells (from the cells option) have no words
+// to read and are left alone.
+
+recognize_text.read_text = function (image_data, result, glyphs) {
+  image_data = recognize_text.image_data(image_data);
+
+  var templates = recognize_text.glyph_templates(glyphs);
+
+  (result.lines || []).forEach(function (line) {
+    var ink      = recognize_text.ink(image_data, line);
+    var baseline = recognize_text.baseline(ink, recognize_text.ink_runs(ink, 0, ink.h, 0, ink.w), 0, ink.h);
+
+    (line.words || []).forEach(function (word) {
+      recognize_text.read_word(ink, baseline, word, templates, glyphs.pitch);
+    });
+
+    line.text = glyphs.pitch
+      ? recognize_text.join_chars([].concat.apply([], (line.words || []).map(function (word) {return word.chars})), glyphs.pitch)
+      : (line.words || []).map(function (word) {return word.text}).join(' ');
+  });
+
+  return result;
+};
+
+// Spacing.
+// join_chars(chars, pitch) is the text of a run of characters in a monospaced
+// font: between each pair of neighbors it puts as many spaces as there are empty
+// cells between them.
+
+recognize_text.join_chars = function (chars, pitch) {
+  var text = '';
+  for (var i = 0, l = chars.length; i < l; ++i) {
+    if (i) {
+      var cells = (chars[i].x + chars[i].w / 2 - chars[i - 1].x - chars[i - 1].w / 2) / pitch;
+      text += new Array(Math.max(0, Math.round(cells) - 1) + 1).join(' ');
+    }
+    text += chars[i].text;
+  }
+  return text;
+};
+
+// Templates.
+// glyph_templates(glyphs) unpacks each glyph's rows into a bitmap, and counts its
+// ink pixels, which the matching below needs over and over.
+
+recognize_text.glyph_templates = function (glyphs) {
+  return glyphs.glyphs.map(function (glyph) {
+    var w = glyph.rows[0].length, h = glyph.rows.length, bits = new Uint8Array(w * h), count = 0;
+    for (var y = 0; y < h; ++y)
+      for (var x = 0; x < w; ++x)
+        count += bits[y * w + x] = glyph.rows[y].charAt(x) === '#' ? 1 : 0;
+
+    return {text: glyph.text, top: glyph.top, w: w, h: h, bits: bits, count: count};
+  });
+};
+
+// Matching a word.
+// A word may have touching characters or characters in several pieces, so rather
+// than matching its column runs one at a time, we find the sequence of glyphs that
+// best explains all of its ink. Placing a glyph at some column (its top as far
+// above the baseline as in the sample, give or take a pixel) scores the number of
+// its pixels that match ink, minus the number that don't, minus the ink in its
+// columns that it doesn't cover. Skipping a column costs the ink in it. Every
+// glyph also costs one pixel, so that two glyphs don't win over one that explains
+// the same ink (" over two 's). Dynamic programming over the columns finds the
+// best total.
+
+// The word's text is its characters', spaced as described above if the font is
+// monospaced. A character's confidence is the fraction of the ink it and the image have
+// between them that they agree on: 1 for a perfect match, and less the more
+// ink is missing or extra. A word's confidence is that of its worst character.
+
+recognize_text.read_word = function (ink, baseline, word, templates, pitch) {
+  var mask = ink.mask, iw = ink.w;
+  var x0   = Math.max(0,  Math.floor(word.x) - ink.x - 1),
+      x1   = Math.min(iw, Math.ceil(word.x + word.w) - ink.x + 1);
+  var w    = x1 - x0;
+
+  var column_ink = new Float64Array(w + 1);
+  for (var x = 0; x < w; ++x) {
+    var sum = 0;
+    for (var y = 0; y < ink.h; ++y) sum += mask[y * iw + x0 + x];
+    column_ink[x + 1] = column_ink[x] + sum;
+  }
+
+  var best = new Float64Array(w + 1), choice = [];
+  for (var x = 1; x <= w; ++x) best[x] = -Infinity;
+
+  for (var x = 0; x < w; ++x) {
+    if (best[x] === -Infinity) continue;
+
+    var skip = best[x] - (column_ink[x + 1] - column_ink[x]);
+    if (skip > best[x + 1]) best[x + 1] = skip, choice[x + 1] = null;
+
+    for (var i = 0, l = templates.length; i < l; ++i) {
+      var t = templates[i];
+      if (x + t.w > w) continue;
+
+      for (var dy = -1; dy <= 1; ++dy) {
+        var top = baseline + t.top + dy, match = 0;
+        for (var ty = 0; ty < t.h; ++ty) {
+          var y = top + ty;
+          if (y < 0 || y >= ink.h) continue;
+          for (var tx = 0, row = y * iw + x0 + x, bits = ty * t.w; tx < t.w; ++tx)
+            match += t.bits[bits + tx] & mask[row + tx];
+        }
+
+        var covered = column_ink[x + t.w] - column_ink[x];
+        var score   = best[x] + 2 * match - t.count - covered - 1;
+        if (score > best[x + t.w])
+          best[x + t.w]   = score,
+          choice[x + t.w] = {template: t, x: x, top: top, confidence: match / (t.count + covered - match)};
+      }
+    }
+  }
+
+  var chars = [];
+  for (var x = w; x > 0;)
+    if (choice[x]) {
+      var c = choice[x];
+      chars.unshift({x: ink.x + x0 + c.x, y: ink.y + c.top, w: c.template.w, h: c.template.h,
+                     text: c.template.text, confidence: c.confidence});
+      x = c.x;
+    } else
+      --x;
+
+  word.chars      = chars;
+  word.text       = pitch ? recognize_text.join_chars(chars, pitch) : chars.map(function (c) {return c.text}).join('');
+  word.confidence = chars.reduce(function (m, c) {return Math.min(m, c.confidence)}, chars.length ? 1 : 0);
+  return word;
+};
+
+if (typeof module === 'object' && module.exports) module.exports = recognize_text;
+// Generated by SDoc 
@@ -7,7 +7,8 @@
 
 // | 1. The background color is generally consistent.
 //   2. The text is a solid color and contains little noise.
-//   3. The text is arranged into lines and is not tilted.
+//   3. The text is arranged into lines and is not tilted. (The deskew option
+//      relaxes this; see the section on skew below.)
 
 // The algorithm is based on identifying lines of consistent widths, which should
 // work well for most fonts. This is done by choosing evenly-spaced points
@@ -20,6 +21,91 @@
 // try to identify convex regions of the image this way. These convex regions can
 // be bounded by rectangles, at which point the problem is solved.
 
+// The entry point.
+// recognize_text() strings together the stages described in the rest of this
+// file. The ray-based locator finds line rectangles (optionally across several
+// scales, and optionally on a straightened copy of the image); then each line is
+// examined at the pixel level to find its colors, words and characters.
+
+// The work is organized as a job: a list of phases, each of which processes a
+// known number of items, followed by a function that assembles the result. This
+// function runs a job straight through; async.js runs the same job a chunk at a
+// time so that a browser stays responsive while it works.
+
+var recognize_text = function (image_data, options) {
+  return recognize_text.finish(recognize_text.job(image_data, options));
+};
+
+recognize_text.job = function (image_data, options, reuse) {
+  image_data = recognize_text.image_data(image_data, options);
+
+  // Tilted text is handled by straightening the image, running the detector
+  // on that, and rotating the results back. See the section on skew below.
+  if (options && options.deskew)
+    return recognize_text.deskew_job(image_data, options);
+
+  // reuse comes from recognize_text.update(), which knows which parts of the
+  // image are the same as last time; see the section on incremental detection.
+  var locator = options && options.multiscale
+    ? recognize_text.multiscale_locator(image_data, options, reuse)
+    : recognize_text.locator(image_data, options,
+                             reuse && {grid: reuse.grids[0], changed: reuse.changed});
+
+  var cells              = options && options.cells;
+  var word_spacing       = options && options.word_spacing ||
+                           recognize_text.defaults.word_spacing;
+  var minimum_confidence = options && options.minimum_confidence ||
+                           recognize_text.defaults.minimum_confidence;
+  var lines              = null;
+
+  // Lines are described even with the cells option, since has_text is worked
+  // out from their words either way.
+  var description = {
+    name:  'description',
+    begin: function () {
+      lines = locator.lines();
+      return lines.length;
+    },
+    run: function (from, to) {
+      for (var i = from; i < to; ++i)
+        if (!(reuse && recognize_text.reuse_description(reuse, lines[i])))
+          recognize_text.describe_line(image_data, lines[i], word_spacing);
+    }
+  };
+
+  // A line that doesn't split into characters can't be text, whatever its
+  // score; see the section on confidence below.
+  var result = function () {
+    var found = [];
+    for (var i = 0, l = lines.length; i < l; ++i) {
+      if (recognize_text.character_count(lines[i]) < 2) lines[i].confidence = 0;
+      if (lines[i].confidence >= minimum_confidence) found.push(lines[i]);
+    }
+
+    var result = cells ? {cells: locator.result()} : {lines: found};
+    result.has_text = recognize_text.has_text(found, options && options.calibration);
+    if (options && options.diagnostics)
+      result.diagnostics = locator.diagnostics();
+    return result;
+  };
+
+  return {phases: locator.phases.concat([description]),
+          grids:  locator.grids,
+          result: result};
+};
+
+// Running jobs.
+// Each phase has a name, a begin() function that does any setup and returns the
+// number of items to process, and run(from, to), which processes a range of
+// them. A phase may append more phases to its job while it runs, so the phase list
+// has to be re-checked as we go rather than cached.
+
+recognize_text.finish = function (job) {
+  for (var i = 0; i < job.phases.length; ++i)
+    job.phases[i].run(0, job.phases[i].begin());
+  return job.result();
+};
+
 // Point selection and rays.
 // We don't want the algorithm to take too long or consume too much memory, so not
 // every pixel is sampled. It's more important to cover a fine grid vertically than
@@ -31,62 +117,66 @@
 // vectors on the vertical rays indicates that the point is probably between lines.
 // Samples on the diagonal vectors only could indicate the corner of a rectangle.
 
-var recognize_text = function (image_data, options) {
+// Grid storage.
+// A 4000 x 3000 scan has more than a million grid points, so we don't make an
+// object for each one. The grid is a rectangle of columns x rows points, numbered
+// column by column from the top left, which means point i's neighbors are i - 1
+// above, i + 1 below, i - rows to the left and i + rows to the right. Everything
+// we know about the points lives in typed arrays indexed by that number: eight ray
+// magnitudes per point (ray j of point i at i * 8 + j), and one array per
+// classification. Luminosity (and, in chroma mode, each color channel) is computed
+// once, into a Float32Array, rather than every time a ray samples a pixel.
+
+recognize_text.locate = function (image_data, options) {
+  return recognize_text.finish(recognize_text.locator(image_data, options));
+};
+
+recognize_text.locator = function (image_data, options, reuse, channel_maps) {
   // Pull out some invariant parts of the image data.
   var w = image_data.width, h = image_data.height, data = image_data.data;
 
-  var r_bias = 0.2126 / 768.0,
-      g_bias = 0.7152 / 768.0,
-      b_bias = 0.0722 / 768.0;
-
-  var luminosity = function (x, y) {
-    var offset = y * w + x << 2;
-    return data[offset]     * r_bias +
-           data[offset + 1] * g_bias +
-           data[offset + 2] * b_bias;
+  // The multiscale locator shares one set of channel maps between its scales.
+  channel_maps = channel_maps || function () {
+    return recognize_text.channel_maps(image_data, options);
   };
 
-  // Process options and cache as locals.
-  var horizontal_spacing = options && options.horizontal_spacing || 3;
-  var vertical_spacing   = options && options.vertical_spacing   || 3;
+  // Process options and cache as locals. Anything the caller leaves out comes
+  // from recognize_text.defaults (see below).
+  var defaults = recognize_text.defaults;
 
-  var ray_interval       = options && options.ray_interval || 1;
-  var ray_steps          = options && options.ray_steps    || 6;
-  var ray_aspect         = options && options.ray_aspect   || 2;
+  var horizontal_spacing = options && options.horizontal_spacing || defaults.horizontal_spacing;
+  var vertical_spacing   = options && options.vertical_spacing   || defaults.vertical_spacing;
+
+  var ray_interval       = options && options.ray_interval || defaults.ray_interval;
+  var ray_steps          = options && options.ray_steps    || defaults.ray_steps;
+  var ray_aspect         = options && options.ray_aspect   || defaults.ray_aspect;
   var ray_length_x       = ray_steps * ray_interval * ray_aspect;
   var ray_length_y       = ray_steps * ray_interval;
 
-  var interior_bias      = options && options.interior_bias      || 1;
-  var left_edge_bias     = options && options.left_edge_bias     || 0.0;
-  var right_edge_bias    = options && options.right_edge_bias    || 0.0;
-  var minimum_interior   = options && options.minimum_interior   || 0.5;
-  var minimum_confidence = options && options.minimum_confidence || 0.1;
-
-  // Create the array of points and begin adding variance data to each one.
-  var points = [];
-  for (var x = ray_length_y; x < w - ray_length_x; x += horizontal_spacing)
-    for (var y = ray_length_y; y < h - ray_length_y; y += vertical_spacing)
-      points.push({x: x, y: y, index: points.length, rays: [[], [], [], [],
-                                                            [], [], [], []]});
-
-  // Go through each point and sample the rays. We're looking for cases where
-  // the colors momentarily deviate but then return. The moment strength is
-  // defined as the degree of variance per pixel; that is, normalized per unit
-  // distance. This amounts to taking a sort of integral with respect to the
-  // average:
-  //
-  //     .......
-  //    ..A BB ..
-  // __.._______..____.........__________       <- average
-  // ...         ......       ...........       <- signal
-  //
-  // | 1| 2| 3| 4| 5|                           <- pixel boundaries
-  //
-  // In this example, A is summed into pixel 1, B into pixel 2, etc. Pixels 1
-  // and 2 are joined because they are equivalent relative to the average; but
-  // when they are joined, their values are averaged over the area rather than
-  // summed. They end up forming a discrete region that is then added into the
-  // array of text representation segments.
+  var interior_bias      = options && options.interior_bias      || defaults.interior_bias;
+  var left_edge_bias     = options && options.left_edge_bias     || defaults.left_edge_bias;
+  var right_edge_bias    = options && options.right_edge_bias    || defaults.right_edge_bias;
+  var minimum_interior   = options && options.minimum_interior   || defaults.minimum_interior;
+  var minimum_confidence = options && options.minimum_confidence || defaults.minimum_confidence;
+  var merge_overlap      = options && options.merge_overlap      || defaults.merge_overlap;
+  var merge_gap          = recognize_text.merge_gap(options);
+  var cells              = options && options.cells              || defaults.cells;
+  var calibration        = (options && options.calibration || recognize_text.calibration).boxes;
+
+  var segment_threshold    = options && options.segment_threshold    || defaults.segment_threshold;
+  var normalize_background = options && options.normalize_background || defaults.normalize_background;
+  var background_radius    = options && options.background_radius    || defaults.background_radius;
+  var contrast_threshold   = options && options.contrast_threshold   || defaults.contrast_threshold;
+  var region               = options && options.region               || defaults.region;
+
+  // State shared between the phases below; each phase fills in what the next
+  // one needs. grid is described above, and the arrays after it are aliases
+  // for its fields.
+  var channels, grid, sorted_by_interior;
+  var rows, count, magnitudes, reused;
+  var interior, left_edges, right_edges, top_edges, bottom_edges, nw_corners, se_corners;
+  var rectangles         = [], survivors = null, grid_cells = [];
+
   var hv_ratio = horizontal_spacing / vertical_spacing;
   var ray_directions = [[0,  1], [ 1,  1], [ 1, 0], [ 1, -1],
                         [0, -1], [-1, -1], [-1, 0], [-1,  1]];
@@ -94,51 +184,175 @@ var recognize_text = function (image_data, options) {
   for (var i = 0, l = ray_directions.length; i < l; ++i)
     ray_directions[i][0] *= ray_aspect;
 
-  var ray = [];
-  for (var i = 0, l = points.length, p; i < l; ++i) {
-    p = points[i];
-    x = p.x;
-    y = p.y;
-
-    // Do a ray analysis in each direction and store the results into the
-    // point's ray data.
-    for (var j = 0, lj = ray_directions.length; j < lj; ++j) {
-      var dx = ray_directions[j][0] * ray_interval;
-      var dy = ray_directions[j][1] * ray_interval;
-
-      // Gather the points along the ray. No bounds-checking is necessary
-      // because all of the points are known to be at least ray_length away from
-      // any edge.
-      for (var d = 0, total = 0; d < ray_steps; ++d)
-        total += ray[d] = luminosity(x + d * dx >>> 0, y + d * dy >>> 0);
-
-      // Now find places where individual values cross the average. Sum until we
-      // hit an edge, at which point we start over.
-      var average     = total / ray_steps;
-      var subtotal    = 0;
-      var subdistance = 0;
-
-      for (var d = 0; d < ray_steps; ++d)
-        // Any sample that opposes the current direction of the subtotal marks
-        // an edge. When we see this, we grab the current subtotal, divided by
-        // the distance it represents, and start a new sample.
-        if (d === 0 || subtotal - average >= 0 === ray[d] - average >= 0)
-          subtotal += ray[d] - average,
-          ++subdistance;
-        else {
-          subtotal = Math.abs(subtotal);
-          if (subtotal > 0.025)
-            p.rays[j].push({value:    Math.abs(subtotal),
-                            position: d,
-                            length:   subdistance});
-          subtotal    = ray[d] - average;
-          subdistance = 1;
+  // Grid coordinates of point i.
+  var x_of = function (i) {return grid.x + (i / rows | 0) * horizontal_spacing};
+  var y_of = function (i) {return grid.y + i % rows * vertical_spacing};
+
+  var rays = {
+    name:  'rays',
+    begin: function () {
+      // Rays sample each channel in turn: just luminosity, unless the chroma
+      // option adds the color channels (see the section on color channels
+      // below). When normalizing the background, rays see a channel relative
+      // to its local average rather than its raw value, and segments have to
+      // stand out relative to the local contrast. See the section on
+      // background normalization below.
+      channels = channel_maps().map(function (channel) {
+        return {map:        channel.map,
+                weight:     channel.weight,
+                background: normalize_background &&
+                            recognize_text.background_model(image_data, background_radius,
+                                                            channel.map)};
+      });
+
+      // Lay out the grid and allocate its arrays. A region of interest limits
+      // the points to a subset of the usual grid, so its results line up with
+      // what a full scan would have found there.
+      var x0 = ray_length_y, x1 = w - ray_length_x;
+      var y0 = ray_length_y, y1 = h - ray_length_y;
+      if (region)
+        x0 += Math.max(0, Math.ceil((region.x - x0) / horizontal_spacing)) * horizontal_spacing,
+        y0 += Math.max(0, Math.ceil((region.y - y0) / vertical_spacing))   * vertical_spacing,
+        x1  = Math.min(x1, region.x + region.w),
+        y1  = Math.min(y1, region.y + region.h);
+
+      for (var columns = 0, x = x0; x < x1; x += horizontal_spacing) ++columns;
+      for (rows = 0, y = y0; y < y1; y += vertical_spacing) ++rows;
+      count = columns * rows;
+
+      grid = {x: x0, y: y0, columns: columns, rows: rows, count: count,
+              spacing_x:   horizontal_spacing,
+              spacing_y:   vertical_spacing,
+              magnitudes:  magnitudes   = new Float64Array(count * 8),
+              interior:    interior     = new Float64Array(count),
+              left_edge:   left_edges   = new Float64Array(count),
+              right_edge:  right_edges  = new Float64Array(count),
+              top_edge:    top_edges    = new Float64Array(count),
+              bottom_edge: bottom_edges = new Float64Array(count),
+              nw_corner:   nw_corners   = new Float64Array(count),
+              se_corner:   se_corners   = new Float64Array(count)};
+      reused = new Uint8Array(count);
+
+      // When updating a previous frame, a point whose rays can't have seen any
+      // changed pixels keeps its old ray data. The background model reaches a
+      // few blocks further than the rays do. Frames have the same size and
+      // options, so their grids are normally identical; if they aren't, we
+      // start from scratch.
+      var previous = reuse && reuse.grid;
+      var margin   = normalize_background ? 3 * background_radius : 0;
+      var reach_x  = ray_length_x + margin, reach_y = ray_length_y + margin;
+
+      if (previous && previous.x === x0 && previous.y === y0 &&
+          previous.columns === columns && previous.rows === rows)
+        for (var i = 0; i < count; ++i) {
+          var x = x_of(i), y = y_of(i);
+          if (reuse.changed(x - reach_x, y - reach_y, x + reach_x, y + reach_y))
+            continue;
+
+          for (var j = 0; j < 8; ++j) magnitudes[i * 8 + j] = previous.magnitudes[i * 8 + j];
+          reused[i] = 1;
         }
 
-      // Note that we don't collect the last sample if it is incomplete. It
-      // needs to cross the average both ways so we can determine its distance.
+      return count;
+    },
+
+    // Go through each point and sample the rays. We're looking for cases where
+    // the colors momentarily deviate but then return. The moment strength is
+    // defined as the degree of variance per pixel; that is, normalized per unit
+    // distance. This amounts to taking a sort of integral with respect to the
+    // average:
+    //
+    //     .......
+    //    ..A BB ..
+    // __.._______..____.........__________       <- average
+    // ...         ......       ...........       <- signal
+    //
+    // | 1| 2| 3| 4| 5|                           <- pixel boundaries
+    //
+    // In this example, A is summed into pixel 1, B into pixel 2, etc. Pixels 1
+    // and 2 are joined because they are equivalent relative to the average; but
+    // when they are joined, their values are averaged over the area rather than
+    // summed. They end up forming a discrete region whose moment (its value
+    // divided by its length) is added to the ray's magnitude.
+    run: function (from, to) {
+      var ray = new Float64Array(ray_steps), candidate = new Float64Array(8);
+      for (var i = from, x, y; i < to; ++i) {
+        if (reused[i]) continue;
+
+        x = x_of(i);
+        y = y_of(i);
+
+        for (var j = 0; j < 8; ++j) magnitudes[i * 8 + j] = 0;
+
+        // Each channel's rays are analyzed separately, and the point keeps the
+        // rays of whichever channel gave the largest weighted total. Taking
+        // rays from different channels, or adding the channels up, would mix
+        // one channel's noise into rays that another channel sees as empty,
+        // and the empty rays are what tell the classifier where lines end.
+        for (var c = 0, lc = channels.length, best = -1; c < lc; ++c) {
+          var map        = channels[c].map,
+              weight     = channels[c].weight,
+              background = channels[c].background;
+
+          var threshold = background
+            ? contrast_threshold * Math.max(background.deviation(x, y),
+                                            recognize_text.minimum_deviation)
+            : segment_threshold;
+
+          // Do a ray analysis in each direction and store the results into the
+          // point's ray data.
+          for (var j = 0, lj = ray_directions.length; j < lj; ++j) {
+            var dx = ray_directions[j][0] * ray_interval;
+            var dy = ray_directions[j][1] * ray_interval;
+
+            // Gather the points along the ray. Vertical and rightward rays
+            // can't leave the image, but the grid starts only ray_length_y from
+            // the left edge, so leftward rays from the first few columns run
+            // off it. Their coordinates wrap around to the end of the row above
+            // (that's what the | 0 does), which only affects points in the
+            // margin.
+            for (var d = 0, total = 0, rx, ry, o; d < ray_steps; ++d)
+              rx = x + d * dx >>> 0,
+              ry = y + d * dy >>> 0,
+              o  = ry * w + rx | 0,
+              total += ray[d] = background ? map[o] - background.mean(rx, ry)
+                                           : map[o];
+
+            // Now find places where individual values cross the average. Sum
+            // until we hit an edge, at which point we start over.
+            var average     = total / ray_steps;
+            var subtotal    = 0;
+            var subdistance = 0;
+            var magnitude   = 0;
+
+            for (var d = 0; d < ray_steps; ++d)
+              // Any sample that opposes the current direction of the subtotal
+              // marks an edge. When we see this, we grab the current subtotal,
+              // divided by the distance it represents, and start a new sample.
+              if (d === 0 || subtotal - average >= 0 === ray[d] - average >= 0)
+                subtotal += ray[d] - average,
+                ++subdistance;
+              else {
+                subtotal = Math.abs(subtotal);
+                if (subtotal > threshold)
+                  magnitude += subtotal / subdistance;
+                subtotal    = ray[d] - average;
+                subdistance = 1;
+              }
+
+            // Note that we don't collect the last sample if it is incomplete.
+            // It needs to cross the average both ways so we can determine its
+            // distance.
+            candidate[j] = weight * magnitude;
+          }
+
+          for (var j = 0, sum = 0; j < 8; ++j) sum += candidate[j];
+          if (sum > best)
+            for (var j = 0, best = sum; j < 8; ++j) magnitudes[i * 8 + j] = candidate[j];
+        }
+      }
     }
-  }
+  };
 
   // Now we have all of the ray data we need. At this point we should be able to
   // use some heuristics to identify line boundaries and horizontal text edges.
@@ -171,239 +385,1704 @@ var recognize_text = function (image_data, options) {
   // collision horizontally and a strong one diagonally, we report a start/end
   // marker more strongly than we do an interior marker.
 
-  all_magnitudes = [];
-  for (var i = 0, l = points.length, p; i < l; ++i) {
-    p = points[i];
-    p.ray_summaries = [];
-
-    // First calculate ray magnitudes for the point. We also calculate the
-    // weighted-average distance of events along this ray so that we have the
-    // option to correct for minor distances later on.
-    for (var j = 0, lj = p.rays.length, r; j < lj; ++j) {
-      var magnitude = 0;
-      var distance  = 0;
-
-      for (var k = 0, lk = (r = p.rays[j]).length, moment; k < lk; ++k)
-        moment     = r[k].value / r[k].length,
-        magnitude += moment,
-        distance  += moment * r[k].position;
-
-      p.ray_summaries[j] = {magnitude: magnitude,
-                            distance:  distance / magnitude || 0};
-      all_magnitudes.push({x: p.x, y: p.y, i: j, m: magnitude});
+  var classification = {
+    name:  'classification',
+    begin: function () {return count},
+    run: function (from, to) {
+      for (var i = from; i < to; ++i) {
+        // Calculate the relative likelihood of each case above from the ray
+        // magnitudes. We do this by using a horizontal bias (directional
+        // average of horizontal ray magnitudes), horizontal total (total of
+        // horizontal ray magnitudes), and doing the same for vertical and NW/SE
+        // diagonal rays.
+        var h_bias = 0, h_total = 0;
+        var v_bias = 0, v_total = 0;
+        var d_bias = 0, d_total = 0;
+
+        for (var j = 0, lj = ray_directions.length, magnitude; j < lj; ++j) {
+          magnitude = magnitudes[i * 8 + j];
+
+          // First add up horizontal stuff. We can just use the ray_directions
+          // array to get the direction.
+          if (ray_directions[j][1] === 0)
+            h_bias  += magnitude * ray_directions[j][0],
+            h_total += magnitude * Math.abs(ray_directions[j][0]);
+
+          if (ray_directions[j][0] === 0)
+            v_bias  += magnitude * ray_directions[j][1],
+            v_total += magnitude * Math.abs(ray_directions[j][1]);
+
+          // Diagonals are identified by using the dot product against the
+          // vector [1, 1]. This happens to just be the sum of the two
+          // components.
+          var is_diagonal = ray_directions[j][0] && ray_directions[j][1];
+          var dot         = ray_directions[j][0] + ray_directions[j][1];
+          if (is_diagonal && dot)
+            d_bias  += magnitude * dot,
+            d_total += magnitude * Math.abs(dot);
+        }
+
+        // Classify the pixel in terms of ratios and store the result back onto
+        // the pixel. Horizontal biasing is different from the other cases
+        // because we want to join adjacent rectangles rather than separating
+        // them.
+        //
+        // The vertical and diagonal biases will be somewhere between -magnitude
+        // and magnitude. We need to figure out how much they lean to each side
+        // and use that as an adjustment factor.
+        var normalized_v_bias = v_bias + (v_total * 0.5);
+        var normalized_d_bias = d_bias + (d_total * 0.5);
+
+        var interior_value    = interior_bias * h_total + d_total + v_total;
+        var left_edge_value   = h_bias < 0 && -h_bias;
+        var right_edge_value  = h_bias > 0 &&  h_bias;
+        var top_edge_value    = normalized_v_bias;
+        var bottom_edge_value = v_total - normalized_v_bias;
+        var nw_corner_value   = normalized_d_bias;
+        var se_corner_value   = d_total - normalized_d_bias;
+
+        // Normalize the vector distance.
+        var classification_distance = Math.max(1, Math.sqrt(
+          interior_value    * interior_value +
+          left_edge_value   * left_edge_value +
+          right_edge_value  * right_edge_value +
+          top_edge_value    * top_edge_value +
+          bottom_edge_value * bottom_edge_value +
+          nw_corner_value   * nw_corner_value +
+          se_corner_value   * se_corner_value));
+
+        interior[i]     = interior_value    / classification_distance;
+        left_edges[i]   = left_edge_value   / classification_distance;
+        right_edges[i]  = right_edge_value  / classification_distance;
+        top_edges[i]    = top_edge_value    / classification_distance;
+        bottom_edges[i] = bottom_edge_value / classification_distance;
+        nw_corners[i]   = nw_corner_value   / classification_distance;
+        se_corners[i]   = se_corner_value   / classification_distance;
+      }
     }
+  };
+
+  var growth = {
+    name:  'growth',
+    begin: function () {
+      // Sort the points by interior classification, strongest first. Ties go
+      // to the earlier point so that the order doesn't depend on the sort.
+      sorted_by_interior = new Uint32Array(count);
+      for (var i = 0; i < count; ++i) sorted_by_interior[i] = i;
+      sorted_by_interior.sort(function (a, b) {return interior[b] - interior[a] || a - b});
+
+      // Only points that look enough like rectangle interiors become seeds.
+      for (var seeds = 0;
+           seeds < count && interior[sorted_by_interior[seeds]] > minimum_interior;
+           ++seeds);
+      return seeds;
+    },
+
+    // Start with the strongest interior classification and proceed left, right,
+    // up, and down until we start hitting edges. These become the extremities
+    // of the rectangle. Every walk below moves between neighbors by adding or
+    // subtracting 1 (vertically) or rows (horizontally).
+    run: function (from, to) {
+      for (var i = from, p; i < to; ++i) {
+        p = sorted_by_interior[i];
+
+        var row = p % rows, column = p / rows | 0;
+        if (row === 0 || row === rows - 1 || column === 0 || column === grid.columns - 1)
+          continue;
+
+        // In cell mode we report the grid cell around each interior point,
+        // scored by its interior classification. This is mostly useful for
+        // seeing what the classifier thinks before any of the rectangle logic
+        // gets involved. The calibration is for lines, so a cell's confidence
+        // is just its score. The rectangles are still grown, because has_text
+        // comes from lines even when they aren't reported.
+        if (cells)
+          grid_cells.push({x: x_of(p), y: y_of(p),
+                           w: horizontal_spacing, h: vertical_spacing,
+                           score: interior[p]});
+
+        // Look for top/bottom edges first.
+        var top_edge    = p - 1;
+        var bottom_edge = p + 1;
+
+        var top_moment   = 0;
+        var top_total    = 0;
+        var top_distance = 0;
+        while (top_edge % rows > 0
+            && (top_moment = interior[top_edge] - top_edges[top_edge]) > 0
+            && (top_distance === 0 ||
+                top_total + top_moment / (top_distance + 1) >
+                  top_total / top_distance))
+          --top_edge,
+          top_total += top_moment,
+          ++top_distance;
+
+        var bottom_moment   = 0;
+        var bottom_total    = 0;
+        var bottom_distance = 0;
+        while (bottom_edge % rows < rows - 1
+            && (bottom_moment = interior[bottom_edge] - bottom_edges[bottom_edge]) > 0
+            && (bottom_distance === 0 ||
+                bottom_total + bottom_moment / (bottom_distance + 1) >
+                  bottom_total / bottom_distance))
+          ++bottom_edge,
+          bottom_total += bottom_moment,
+          ++bottom_distance;
+
+        // Now go left and right until we hit corners and edges. Add up the
+        // confidence as we go. The left edge and the northwest corner are in
+        // the same column, so one bounds check covers both.
+        var left_edge = p;
+        var nw_corner = top_edge;
+
+        while (left_edge >= rows &&
+               interior[left_edge] + top_edges[nw_corner] + left_edge_bias >
+               left_edges[left_edge] + nw_corners[nw_corner])
+          left_edge -= rows,
+          nw_corner -= rows;
+
+        // Do the same thing for the right side.
+        var right_edge = p;
+        var se_corner  = bottom_edge;
+
+        while (right_edge + rows < count &&
+               interior[right_edge] + bottom_edges[se_corner] + right_edge_bias >
+               right_edges[right_edge] + se_corners[se_corner])
+          right_edge += rows,
+          se_corner  += rows;
 
-    // Now that we have the summary data, calculate the relative likelihood of
-    // each case above. We do this by using a horizontal bias (directional
-    // average of horizontal ray magnitudes), horizontal total (total of
-    // horizontal ray magnitudes), and doing the same for vertical and NW/SE
-    // diagonal rays.
-    var h_bias = 0, h_total = 0;
-    var v_bias = 0, v_total = 0;
-    var d_bias = 0, d_total = 0;
-
-    for (var j = 0, lj = p.ray_summaries.length, r; j < lj; ++j) {
-      r = p.ray_summaries[j];
-
-      // First add up horizontal stuff. We can just use the ray_directions array
-      // to get the direction.
-      if (ray_directions[j][1] === 0)
-        h_bias  += r.magnitude * ray_directions[j][0],
-        h_total += r.magnitude * Math.abs(ray_directions[j][0]);
-
-      if (ray_directions[j][0] === 0)
-        v_bias  += r.magnitude * ray_directions[j][1],
-        v_total += r.magnitude * Math.abs(ray_directions[j][1]);
-
-      // Diagonals are identified by using the dot product against the vector
-      // [1, 1]. This happens to just be the sum of the two components.
-      var is_diagonal = ray_directions[j][0] && ray_directions[j][1];
-      var dot         = ray_directions[j][0] + ray_directions[j][1];
-      if (is_diagonal && dot)
-        d_bias  += r.magnitude * dot,
-        d_total += r.magnitude * Math.abs(dot);
+        // A seed that couldn't move left or right has no width, so there's
+        // nothing to report.
+        var nw_x = x_of(nw_corner), nw_y = y_of(nw_corner);
+        var se_x = x_of(se_corner), se_y = y_of(se_corner);
+        if ((se_x - nw_x) * (se_y - nw_y) <= 0)
+          continue;
+
+        // Now add up the rectangle classification values to get its score.
+        // Each grid point contributes the classification that matches its role
+        // (interior, edge or corner), and we average over the number of
+        // contributions so that big rectangles don't win just by being big.
+        var nw_column = nw_corner / rows | 0, nw_row = nw_corner % rows;
+        var se_column = se_corner / rows | 0, se_row = se_corner % rows;
+        var confidence = 0;
+        var terms      = 2;
+
+        for (var c = nw_column + 1; c < se_column; ++c)
+          for (var r = nw_row + 1; r < se_row; ++r)
+            confidence += interior[c * rows + r],
+            ++terms;
+
+        for (var k = 1; nw_column + k < se_column; ++k)
+          confidence += top_edges[(nw_column + k) * rows + nw_row] +
+                        bottom_edges[(se_column - k) * rows + se_row],
+          terms      += 2;
+
+        for (var k = 1; nw_row + k < se_row; ++k)
+          confidence += left_edges[nw_corner + k] + right_edges[se_corner - k],
+          terms      += 2;
+
+        confidence += nw_corners[nw_corner] + se_corners[se_corner];
+        confidence /= terms;
+
+        rectangles.push({x: nw_x,
+                         y: nw_y,
+                         w: se_x - nw_x,
+                         h: se_y - nw_y,
+                         score: confidence});
+      }
+    }
+  };
+
+  // The result is the cells in cell mode and the lines otherwise; lines() gives
+  // the lines either way, working them out only once.
+  var lines = function () {
+    if (survivors) return survivors;
+
+    // Most text lines contain many interior points, and each of them grows into
+    // roughly the same rectangle. Collapse those down to one box per line.
+    rectangles = recognize_text.merge_rectangles(rectangles, merge_overlap, merge_gap,
+                                                 recognize_text.joinable(image_data));
+
+    // Turn scores into confidences (see the section on confidence below),
+    // then remove rectangles below the minimum confidence limit.
+    survivors = [];
+    for (var i = 0, l = rectangles.length; i < l; ++i) {
+      rectangles[i].confidence = recognize_text.calibrated(rectangles[i].score, calibration);
+      if (rectangles[i].confidence >= minimum_confidence)
+        survivors.push(rectangles[i]);
     }
 
-    // Classify the pixel in terms of ratios and store the result back onto the
-    // pixel. Horizontal biasing is different from the other cases because we
-    // want to join adjacent rectangles rather than separating them.
-    //
-    // The vertical and diagonal biases will be somewhere between -magnitude and
-    // magnitude. We need to figure out how much they lean to each side and use
-    // that as an adjustment factor.
-    var normalized_v_bias = v_bias + (v_total * 0.5);
-    var normalized_d_bias = d_bias + (d_total * 0.5);
-
-    var interior_value    = interior_bias * h_total + d_total + v_total;
-    var left_edge_value   = h_bias < 0 && -h_bias;
-    var right_edge_value  = h_bias > 0 &&  h_bias;
-    var top_edge_value    = normalized_v_bias;
-    var bottom_edge_value = v_total - normalized_v_bias;
-    var nw_corner_value   = normalized_d_bias;
-    var se_corner_value   = d_total - normalized_d_bias;
-
-    // Normalize the vector distance.
-    var classification_distance = Math.max(1, Math.sqrt(
-      interior_value    * interior_value +
-      left_edge_value   * left_edge_value +
-      right_edge_value  * right_edge_value +
-      top_edge_value    * top_edge_value +
-      bottom_edge_value * bottom_edge_value +
-      nw_corner_value   * nw_corner_value +
-      se_corner_value   * se_corner_value));
-
-    p.classification_distance = classification_distance;
-    p.interior    = interior_value    / classification_distance;
-    p.left_edge   = left_edge_value   / classification_distance;
-    p.right_edge  = right_edge_value  / classification_distance;
-    p.top_edge    = top_edge_value    / classification_distance;
-    p.bottom_edge = bottom_edge_value / classification_distance;
-    p.nw_corner   = nw_corner_value   / classification_distance;
-    p.se_corner   = se_corner_value   / classification_distance;
+    return survivors;
+  };
+
+  var result = function () {
+    if (!cells) return lines();
+
+    var found = [];
+    for (var i = 0, l = grid_cells.length; i < l; ++i)
+      if ((grid_cells[i].confidence = grid_cells[i].score) >= minimum_confidence)
+        found.push(grid_cells[i]);
+    return found;
+  };
+
+  return {phases:      [rays, classification, growth],
+          result:      result,
+          lines:       lines,
+          grids:       function () {return [grid]},
+          diagnostics: function () {return [recognize_text.diagnostic_grid(grid)]}};
+};
+
+// Default options.
+// These are the values used for any option the caller doesn't specify. They're
+// exposed so that other tools (the command-line interface, for instance) can
+// enumerate the available options without duplicating this list.
+
+// Three options aren't numbers or flags. When region is an {x, y, w, h}
+// rectangle, only grid points inside it are sampled; rays still read the pixels
+// around it, and the reported boxes stay in whole-image coordinates. matte is the
+// [r, g, b] color that transparent pixels are composited against (see the section
+// on input images below), and calibration holds the curves that turn scores into
+// confidences (see the section on confidence).
+
+recognize_text.defaults = {
+  horizontal_spacing: 3,
+  vertical_spacing:   3,
+
+  ray_interval:       1,
+  ray_steps:          6,
+  ray_aspect:         2,
+
+  interior_bias:      1,
+  left_edge_bias:     0.0,
+  right_edge_bias:    0.0,
+  minimum_interior:   0.5,
+  minimum_confidence: 0.1,
+  merge_overlap:      0.5,
+  merge_gap:          1,
+  word_spacing:       2,
+  segment_threshold:  0.025,
+
+  normalize_background: false,
+  background_radius:    16,
+  contrast_threshold:   1,
+
+  chroma:             false,
+  luminosity_weight:  1,
+  red_green_weight:   1,
+  blue_yellow_weight: 1,
+
+  deskew:             false,
+  maximum_skew:       0.25,
+
+  multiscale:         false,
+  scale_count:        3,
+  scale_factor:       2,
+
+  region:             null,
+  matte:              [255, 255, 255],
+  calibration:        null,
+  cells:              false,
+  diagnostics:        false
+};
+
+// Overriding options.
+// with_options(options, overrides) returns a copy of options with overrides
+// applied on top. Several stages work by calling the detector again with slightly
+// different settings.
+
+recognize_text.with_options = function (options, overrides) {
+  var result = {};
+  for (var k in options)   if (options.hasOwnProperty(k))   result[k] = options[k];
+  for (var k in overrides) if (overrides.hasOwnProperty(k)) result[k] = overrides[k];
+  return result;
+};
+
+// Input images.
+// Everything below reads pixels from an object shaped like a canvas ImageData:
+// {width, height, data}, with four bytes (RGBA) per pixel and no transparency.
+// image_data(input, options) turns whatever the caller has into that shape. It
+// accepts:
+
+// | 1. ImageData, or anything else with width, height and RGBA data.
+//   2. Raw pixels with an explicit layout: {width, height, data, channels, stride},
+//      where channels is 1 (gray), 2 (gray and alpha), 3 (RGB) or 4 (RGBA), and
+//      stride is the number of bytes from the start of one row to the next. Both
+//      can be left out if the rows are packed; channels is then worked out from
+//      the length of data. Padded rows don't say how many bytes a pixel has, so
+//      stride needs channels to go with it. data can be any array of bytes, a
+//      Node Buffer included.
+//   3. Things a canvas can draw: image, canvas and video elements, ImageBitmap,
+//      OffscreenCanvas and VideoFrame. These are drawn onto a canvas at their
+//      natural size and read back, so this needs a browser (or a worker with
+//      OffscreenCanvas), and an image or video has to have loaded first.
+//   4. Under Node, a Buffer holding a PNG or netpbm file, which image-io.js decodes.
+
+// Transparency carries no information about the text, but left alone it would be
+// read as whatever color the transparent pixels happen to store, which is usually
+// black; dark text on a transparent background would then vanish. So alpha is
+// composited against the matte option, an [r, g, b] color that defaults to white,
+// and the result is opaque. An input that is already opaque RGBA is returned
+// as it is rather than copied.
+
+// An image with no pixels, zero wide or zero high, is valid too, whatever its data
+// looks like; there's nothing to detect in it, so recognize_text() returns
+// {lines: [], has_text: 0}.
+
+// The detector's entry points call this themselves, so there's no need to do it
+// first; it's exposed for code that wants the pixels, e.g. to draw boxes onto
+// them.
+
+recognize_text.image_data = function (input, options) {
+  var matte = options && options.matte || recognize_text.defaults.matte;
+
+  if (input.width === undefined && typeof Buffer === 'function' && Buffer.isBuffer(input))
+    input = require('./image-io.js').decode(input);
+  else if (input.data === undefined)
+    input = recognize_text.draw_image(input);
+
+  var w = input.width, h = input.height, data = input.data;
+  if (!(w * h)) return {width: w, height: h, data: new Uint8ClampedArray(0)};
+  if (input.stride && !input.channels)
+    throw new Error('image_data: a stride of ' + input.stride + ' needs channels as well');
+
+  var channels = input.channels || data.length / (w * h);
+  var stride   = input.stride || w * channels;
+
+  if (!(channels >= 1 && channels <= 4 && channels % 1 === 0))
+    throw new Error(input.channels
+      ? 'image_data: expected 1 to 4 channels per pixel, not ' + channels
+      : 'image_data: can\'t tell the pixel format of ' + data.length + ' bytes for a ' +
+        w + 'x' + h + ' image; give channels and stride');
+  if (data.length < stride * (h - 1) + w * channels)
+    throw new Error('image_data: ' + data.length + ' bytes is too few for a ' +
+                    w + 'x' + h + ' image with ' + channels + ' channels');
+
+  if (channels === 4 && stride === w << 2 && recognize_text.opaque(data))
+    return input;
+
+  var result = {width: w, height: h, data: new Uint8ClampedArray(w * h << 2)};
+  var output = result.data, color = channels >= 3;
+  var alpha  = channels === 2 || channels === 4 ? channels - 1 : -1;
+
+  for (var y = 0, o = 0; y < h; ++y)
+    for (var x = 0, i = y * stride; x < w; ++x, i += channels, o += 4) {
+      var a = alpha < 0 ? 255 : data[i + alpha];
+      for (var c = 0; c < 3; ++c)
+        output[o + c] = (data[color ? i + c : i] * a + matte[c] * (255 - a)) / 255;
+      output[o + 3] = 255;
+    }
+
+  return result;
+};
+
+recognize_text.opaque = function (data) {
+  for (var i = 3, l = data.length; i < l; i += 4)
+    if (data[i] !== 255) return false;
+  return true;
+};
+
+// Drawing images.
+// draw_image(source) reads the pixels of anything a canvas can draw. Images and
+// videos report their natural sizes separately from the size they're displayed
+// at, and VideoFrame has its own names for them, so we try each in turn.
+
+recognize_text.draw_image = function (source) {
+  var w = source.naturalWidth  || source.videoWidth  || source.displayWidth  || source.width,
+      h = source.naturalHeight || source.videoHeight || source.displayHeight || source.height;
+
+  if (!w || !h)
+    throw new Error('image_data: the image has no pixels (has it finished loading?)');
+
+  var canvas = typeof OffscreenCanvas === 'function' ? new OffscreenCanvas(w, h)
+             : typeof document === 'object'          ? document.createElement('canvas')
+             : null;
+  if (!canvas)
+    throw new Error('image_data: reading pixels from ' + source + ' needs a canvas');
+
+  canvas.width  = w;
+  canvas.height = h;
+
+  var context = canvas.getContext('2d');
+  context.drawImage(source, 0, 0, w, h);
+  return context.getImageData(0, 0, w, h);
+};
+
+// Luminosity.
+// Most of the analysis works on a single channel. r_bias, g_bias and b_bias are
+// the Rec. 709 luma coefficients, scaled so that luminosity ranges over [0, 1/3]
+// rather than [0, 255]. luminosity(image_data) returns a function that computes it
+// for one pixel, which is all that stages looking at a few boxes need;
+// luminosity_map(image_data) computes it for every pixel at once. Single precision
+// is plenty for values that started out as bytes, and halves the map's size.
+
+recognize_text.luminosity = function (image_data) {
+  var w = image_data.width, data = image_data.data;
+
+  var r_bias = 0.2126 / 768.0,
+      g_bias = 0.7152 / 768.0,
+      b_bias = 0.0722 / 768.0;
+
+  return function (x, y) {
+    var offset = y * w + x << 2;
+    return data[offset]     * r_bias +
+           data[offset + 1] * g_bias +
+           data[offset + 2] * b_bias;
+  };
+};
+
+recognize_text.luminosity_map = function (image_data) {
+  return recognize_text.channel_map(image_data, 'luminosity');
+};
+
+recognize_text.channel_map = function (image_data, channel) {
+  var w = image_data.width, h = image_data.height;
+  var value  = recognize_text[channel](image_data);
+  var result = new Float32Array(w * h);
+
+  for (var y = 0, i = 0; y < h; ++y)
+    for (var x = 0; x < w; ++x, ++i)
+      result[i] = value(x, y);
+  return result;
+};
+
+// Color channels.
+// Luminosity can't tell red text from a green background of the same brightness,
+// and charts, badges and status lights use combinations like that all the time.
+// Two opponent color channels cover what it misses: red_green is the difference
+// between red and green, and blue_yellow the difference between blue and the
+// average of red and green. Both are offset and scaled to range over [0, 1/3]
+// like luminosity, so the same thresholds mean about the same thing on every
+// channel, and a gray pixel sits at 1/6 in both.
+
+// With the chroma option, the ray scan runs over all three channels and combines
+// their ray magnitudes before classification (see the rays phase in the locator
+// above). luminosity_weight, red_green_weight and blue_yellow_weight scale each
+// channel's magnitudes; zero leaves a channel out altogether, unlike most options,
+// where zero means the default. Without the chroma option the weights are ignored
+// and only luminosity is used. channel_maps(image_data, options) returns the
+// channels in use, each as {name, weight, map}.
+
+recognize_text.color_channels = ['luminosity', 'red_green', 'blue_yellow'];
+
+recognize_text.red_green = function (image_data) {
+  var w = image_data.width, data = image_data.data;
+  return function (x, y) {
+    var offset = y * w + x << 2;
+    return (data[offset] - data[offset + 1]) / 1536 + 1 / 6;
+  };
+};
+
+recognize_text.blue_yellow = function (image_data) {
+  var w = image_data.width, data = image_data.data;
+  return function (x, y) {
+    var offset = y * w + x << 2;
+    return ((data[offset] + data[offset + 1]) / 2 - data[offset + 2]) / 1536 + 1 / 6;
+  };
+};
+
+recognize_text.channel_maps = function (image_data, options) {
+  var defaults = recognize_text.defaults;
+  var chroma   = options && options.chroma || defaults.chroma;
+
+  return recognize_text.color_channels.filter(function (name) {
+    return chroma || name === 'luminosity';
+  }).map(function (name) {
+    var weight = !chroma ? 1
+               : options[name + '_weight'] !== undefined ? options[name + '_weight']
+               : defaults[name + '_weight'];
+    return {name: name, weight: weight};
+  }).filter(function (channel) {
+    return channel.weight > 0;
+  }).map(function (channel) {
+    channel.map = recognize_text.channel_map(image_data, channel.name);
+    return channel;
+  });
+};
+
+// Merging rectangles.
+// Every interior point seeds its own rectangle, so a single line of text produces
+// dozens of nearly identical boxes along with a few partial ones from seeds near
+// its ends. We clean this up with non-maximum suppression: visit rectangles from
+// highest to lowest score, and drop any rectangle that substantially overlaps one
+// we've already kept. Overlap is measured against the smaller of the two areas
+// rather than their union; that way a short box that sits entirely inside a line
+// is treated as a duplicate even though its IoU is small.
+
+// Rectangles that line up vertically are usually pieces of the same line, either
+// seen from different seeds or split at the gap between two words, so rather than
+// dropping the weaker one we widen the keeper to cover both. They're joined if
+// they overlap horizontally or the gap between them is at most gap times the
+// taller one's height; lining up means overlapping vertically by overlap times
+// that height, which also keeps lines of very different sizes apart. Widening can
+// create new overlaps with boxes we've already kept, so we repeat until nothing
+// changes.
+
+// The gap comes from the merge_gap option. Unlike most options, 0 is a meaningful
+// value for it: only boxes that touch are joined.
+
+// A gap of a line's height is wider than most word gaps, but it's also wider than
+// a narrow gutter between two columns, and joining across that would make one
+// line of two. So merge_rectangles(rectangles, overlap, gap, joinable) asks
+// joinable(a, b), if given, before joining two boxes that don't overlap. The
+// detector's joinable() binarizes the box around both pieces, finds its gaps the
+// same way split_line() does below, and measures the widest blank stretch between
+// where the left piece's ink ends and the right one's begins (their box edges, if
+// a piece has no ink). A word space is about one character pitch wide -- the
+// median ink run plus the letter gap -- so we allow up to twice that; a column
+// gutter is wider, and the join is refused. No blank stretch means the pieces
+// weren't really apart, and pieces with no ink at all are never joined.
+
+recognize_text.merge_gap = function (options) {
+  return options && options.merge_gap !== undefined ? options.merge_gap
+                                                    : recognize_text.defaults.merge_gap;
+};
+
+recognize_text.merge_rectangles = function (rectangles, overlap, gap, joinable) {
+  var kept = rectangles;
+
+  do {
+    var sorted = kept.sort(function (a, b) {return b.score - a.score});
+    kept = [];
+
+    for (var i = 0, l = sorted.length, r; i < l; ++i) {
+      r = sorted[i];
+
+      for (var j = 0, lj = kept.length, k; j < lj; ++j) {
+        k = kept[j];
+
+        var ix = Math.min(r.x + r.w, k.x + k.w) - Math.max(r.x, k.x);
+        var iy = Math.min(r.y + r.h, k.y + k.h) - Math.max(r.y, k.y);
+        if (ix < -(gap || 0) * Math.max(r.h, k.h) || iy <= 0)
+          continue;
+
+        if (iy >= overlap * Math.max(r.h, k.h)) {
+          if (ix < 0 && joinable && !joinable(r, k)) continue;
+          var right = Math.max(r.x + r.w, k.x + k.w);
+          k.x = Math.min(r.x, k.x);
+          k.w = right - k.x;
+          break;
+        }
+
+        if (ix * iy >= overlap * Math.min(r.w * r.h, k.w * k.h))
+          break;
+      }
+
+      if (j === lj)
+        kept.push(recognize_text.with_options(r, {}));
+    }
+  } while (kept.length < sorted.length);
+
+  return kept;
+};
+
+recognize_text.joinable = function (image_data) {
+  return function (a, b) {
+    var left = a.x <= b.x ? a : b, right = left === a ? b : a;
+    var y0   = Math.min(a.y, b.y), y1 = Math.max(a.y + a.h, b.y + b.h);
+    var ink  = recognize_text.ink(image_data, {x: left.x, y: y0, h: y1 - y0,
+                                               w: Math.max(a.x + a.w, b.x + b.w) - left.x});
+    var runs = recognize_text.column_runs(ink), l = runs.length;
+    if (!l) return false;
+
+    // Where the left piece's ink ends and the right piece's begins, or the
+    // edges of their boxes if they have none.
+    var from = left.x + left.w - ink.x, to = right.x - ink.x;
+    for (var i = 0, end = from; i < l && runs[i][0] < end; ++i) from = runs[i][1];
+    for (var i = l - 1, start = to; i >= 0 && runs[i][1] > start; --i) to = runs[i][0];
+
+    var between = 0, cursor = from;
+    for (var i = 0; i < l; ++i)
+      if (runs[i][1] > from && runs[i][0] < to)
+        between = Math.max(between, runs[i][0] - cursor),
+        cursor  = Math.max(cursor, runs[i][1]);
+    between = Math.max(between, to - cursor);
+    if (between <= 0) return true;
+
+    var gaps = [], widths = [];
+    for (var i = 0; i < l; ++i)
+      widths.push(runs[i][1] - runs[i][0]),
+      i && gaps.push(runs[i][0] - runs[i - 1][1]);
+    widths.sort(function (x, y) {return x - y});
+
+    return between <= 2 * (widths[l >> 1] + recognize_text.letter_gap(gaps));
+  };
+};
+
+// Confidence.
+// A rectangle's score is the average of its grid points' classifications, each of
+// which is at most 1. Scores don't depend on anything else in the image, so
+// they're comparable from one image to the next, but they aren't probabilities:
+// a clean line of text might score 0.6, and a stray box on a blank page 0.1. We
+// map them to probabilities with a logistic curve in the score's logarithm, whose
+// slope and intercept are fitted to labelled images, where a box counts as text
+// if it matches an annotated line (see calibrate() in evaluate.js):
+
+// | confidence = 1 / (1 + exp(-(slope * log(score) + intercept)))
+
+// A confidence of 0.8 then means that about four in five boxes with that
+// confidence really are lines of text, on any image. Pieces of lines and boxes
+// spanning two lines count against it, so even clean text rarely gets much above
+// 0.5.
+
+// That only works if the score means the same thing everywhere, and on its own it
+// doesn't: noise, grain and waves fill the image with one large box that scores
+// higher than any real line. What gives those away is at the pixel level. Their
+// ink has no gaps between columns, so the box is one solid character, while a
+// line of text, even one short word, has gaps between its letters. So once a line
+// has been described, it needs at least two characters to keep its confidence;
+// with fewer it gets 0 and is dropped with everything else below the minimum
+// confidence. The box curve is fitted to the lines that pass, including those on
+// textured pages without text.
+
+recognize_text.character_count = function (line) {
+  for (var i = 0, l = line.words.length, count = 0; i < l; ++i)
+    count += line.words[i].chars.length;
+  return count;
+};
+
+// Whether there's any text.
+// Every result also has a has_text field: the probability that the image contains
+// any text at all. It comes from a second curve of the same shape, fitted to whole
+// images, in image_score(boxes): the highest score of any line that splits into
+// at least two words. Box scores alone can't tell text from texture, since noise,
+// checks and stripes fill the image with one large box that scores higher than
+// any real line; but that box is one solid word, as is every box found in a
+// smooth photograph, while a line of text has gaps between its words. A single
+// word on its own is given up for this, and an image with no lines of two words
+// or more gets 0. Cells have no words, so with the cells option has_text still
+// comes from the lines a plain run would find: they're grown and described
+// alongside the cells, just not reported.
+
+// Blank images, noise and photographs almost always get 0, clean text gets about
+// 0.85, and text that's faint or hard to read lands in between. Scattered specks,
+// like dust on a scan, can line up into rows that look like words; they land in
+// between too, at about 0.4, so treat middling values as a maybe.
+
+// The calibration option holds both curves, as {boxes: {slope, intercept},
+// images: {slope, intercept}}. When it's null we use recognize_text.calibration,
+// which was fitted to 40 random pages from synthesize.js, the same pages with
+// faint text, their backgrounds with no text at all, and 40 pages of each of its
+// textures with no text. Text that looks quite different from those pages is
+// worth calibrating for.
+
+recognize_text.calibration = {boxes:  {slope: 2.605, intercept: 0.927},
+                              images: {slope: 6.535, intercept: 4.355}};
+
+recognize_text.calibrated = function (score, curve) {
+  return 1 / (1 + Math.exp(-(curve.slope * Math.log(score) + curve.intercept)));
+};
+
+recognize_text.image_score = function (boxes) {
+  for (var i = 0, l = boxes.length, best = 0; i < l; ++i)
+    if (boxes[i].words && boxes[i].words.length > 1)
+      best = Math.max(best, boxes[i].score);
+  return best;
+};
+
+recognize_text.has_text = function (boxes, calibration) {
+  var score = recognize_text.image_score(boxes);
+  return score
+    ? recognize_text.calibrated(score, (calibration || recognize_text.calibration).images)
+    : 0;
+};
+
+// Background normalization.
+// The ray scan assumes a consistent background: a ray whose luminosity drifts
+// from one end to the other looks a lot like a ray crossing a stroke. Photographs
+// with uneven lighting, shadows across a page and gradient-filled UI elements all
+// break this, and the fixed segment threshold then fires nearly everywhere.
+
+// The background model estimates the local mean and standard deviation of
+// luminosity around every pixel. Rays sample luminosity minus the local mean,
+// which flattens out gradients, and a segment only counts if it exceeds
+// contrast_threshold local standard deviations. That way text in a shadow, whose
+// strokes are faint but still stand out from their surroundings, is held to a
+// lower standard than text on a busy background. Very flat regions would make the
+// threshold arbitrarily small, so the deviation is never taken to be less than
+// minimum_deviation.
+
+// To keep memory bounded on large images, statistics are computed per block of
+// radius x radius pixels. Each block's mean and deviation cover the 3 x 3
+// neighborhood of blocks around it, and values between block centers are
+// interpolated bilinearly. In chroma mode each color channel gets a model of its
+// own, computed the same way. The locator passes in the channel map it already
+// has; other callers can leave it out to get a model of luminosity.
+
+recognize_text.minimum_deviation = 0.005;
+
+recognize_text.background_model = function (image_data, radius, luminosity) {
+  luminosity = luminosity || recognize_text.luminosity_map(image_data);
+  var w  = image_data.width, h = image_data.height;
+  var bw = Math.ceil(w / radius), bh = Math.ceil(h / radius);
+
+  var sums    = new Float64Array(bw * bh),
+      squares = new Float64Array(bw * bh),
+      counts  = new Float64Array(bw * bh);
+
+  for (var y = 0; y < h; ++y)
+    for (var x = 0, row = (y / radius | 0) * bw; x < w; ++x) {
+      var b = row + (x / radius | 0), v = luminosity[y * w + x];
+      sums[b]    += v;
+      squares[b] += v * v;
+      ++counts[b];
+    }
+
+  var means      = new Float64Array(bw * bh),
+      deviations = new Float64Array(bw * bh);
+
+  for (var by = 0; by < bh; ++by)
+    for (var bx = 0; bx < bw; ++bx) {
+      var s = 0, q = 0, n = 0;
+      for (var j = Math.max(0, by - 1); j <= Math.min(bh - 1, by + 1); ++j)
+        for (var i = Math.max(0, bx - 1); i <= Math.min(bw - 1, bx + 1); ++i)
+          s += sums[j * bw + i], q += squares[j * bw + i], n += counts[j * bw + i];
+
+      means[by * bw + bx]      = s / n;
+      deviations[by * bw + bx] = Math.sqrt(Math.max(0, q / n - s * s / (n * n)));
+    }
+
+  var interpolate = function (grid) {
+    return function (x, y) {
+      var gx = Math.min(bw - 1, Math.max(0, x / radius - 0.5)),
+          gy = Math.min(bh - 1, Math.max(0, y / radius - 0.5));
+      var x0 = gx | 0, y0 = gy | 0;
+      var x1 = Math.min(bw - 1, x0 + 1), y1 = Math.min(bh - 1, y0 + 1);
+      var fx = gx - x0, fy = gy - y0;
+
+      return (grid[y0 * bw + x0] * (1 - fx) + grid[y0 * bw + x1] * fx) * (1 - fy) +
+             (grid[y1 * bw + x0] * (1 - fx) + grid[y1 * bw + x1] * fx) * fy;
+    };
+  };
+
+  return {mean: interpolate(means), deviation: interpolate(deviations)};
+};
+
+// Separating ink from background.
+// Line rectangles come from a grid several pixels wide, which is too coarse to see
+// the gaps between characters. So once we know where the lines are, we go back to
+// the pixels. Within a rectangle there are usually two populations of luminosity
+// values, text and background, and Otsu's method finds the threshold that best
+// separates them. The background is whichever side has more pixels.
+
+// The result is a mask over the clipped rectangle with a 1 for each ink pixel. If
+// the two populations are too close together (less than minimum_ink_contrast
+// levels out of 255) we assume the region is blank and return an empty mask.
+
+// Text that differs from its background only in hue has no luminosity contrast
+// at all, so in that case we try the color channels too (see the section on color
+// channels) and keep whichever separates ink from background best. The result's
+// channel field says which channel that was. Polarity still describes
+// brightness, so dark_ink then comes from comparing the luminosity of the ink to
+// that of the background rather than from which side of the threshold it's on.
+
+recognize_text.minimum_ink_contrast = 16;
+
+recognize_text.ink = function (image_data, box) {
+  var ink = recognize_text.channel_ink(image_data, box, 'luminosity');
+  if (ink.contrast >= recognize_text.minimum_ink_contrast) return ink;
+
+  for (var i = 1, l = recognize_text.color_channels.length, other; i < l; ++i) {
+    other = recognize_text.channel_ink(image_data, box, recognize_text.color_channels[i]);
+    if (other.contrast >= recognize_text.minimum_ink_contrast && other.contrast > ink.contrast)
+      ink = other;
+  }
+
+  if (ink.channel !== 'luminosity') {
+    var luminosity = recognize_text.luminosity(image_data), sums = [0, 0], counts = [0, 0];
+    for (var y = 0; y < ink.h; ++y)
+      for (var x = 0, k; x < ink.w; ++x)
+        k = ink.mask[y * ink.w + x],
+        sums[k] += luminosity(ink.x + x, ink.y + y),
+        ++counts[k];
+
+    ink.dark_ink = sums[1] / counts[1] <= sums[0] / counts[0];
   }
 
-  // Doubly link all points both vertically and horizontally.
-  var rows = [], columns = [];
-  for (var i = 0, l = points.length, p; i < l; ++i) {
-    p = points[i];
-    (columns[p.x] || (columns[p.x] = [])).push(p);
-    (rows[p.y]    || (rows[p.y]    = [])).push(p);
-
-    // Use double linking; p.right is the next-rightwards point, and p.left is
-    // the next-leftwards...
-    if (rows[p.y].length > 1) {
-      var leftward = rows[p.y][rows[p.y].length - 2];
-      leftward.right = p;
-      p.left = leftward;
+  return ink;
+};
+
+recognize_text.channel_ink = function (image_data, box, channel) {
+  var value = recognize_text[channel](image_data);
+
+  var x0 = Math.max(0, Math.floor(box.x)),
+      y0 = Math.max(0, Math.floor(box.y)),
+      x1 = Math.min(image_data.width,  Math.ceil(box.x + box.w)),
+      y1 = Math.min(image_data.height, Math.ceil(box.y + box.h));
+
+  var w = Math.max(0, x1 - x0), h = Math.max(0, y1 - y0);
+  var levels    = new Uint8Array(w * h);
+  var histogram = [];
+  for (var i = 0; i < 256; ++i) histogram[i] = 0;
+
+  for (var y = 0; y < h; ++y)
+    for (var x = 0; x < w; ++x)
+      ++histogram[levels[y * w + x] =
+                    Math.min(255, value(x0 + x, y0 + y) * 768 | 0)];
+
+  // Otsu: choose the threshold that maximizes the between-class variance.
+  // Levels <= threshold are the low class, levels above are the high class.
+  var total = w * h, sum = 0;
+  for (var i = 0; i < 256; ++i) sum += i * histogram[i];
+
+  var best = -1, threshold = 0, low_count = 0, low_sum = 0;
+  var low_mean = 0, high_mean = 0, split = 0;
+  for (var i = 0; i < 255; ++i) {
+    low_count += histogram[i];
+    low_sum   += i * histogram[i];
+    if (!low_count || low_count === total) continue;
+
+    var ml = low_sum / low_count, mh = (sum - low_sum) / (total - low_count);
+    var between = low_count * (total - low_count) * (ml - mh) * (ml - mh);
+    if (between > best)
+      best = between, threshold = i, low_mean = ml, high_mean = mh,
+      split = low_count;
+  }
+
+  var dark_ink = split < total - split;
+  var mask     = new Uint8Array(w * h);
+  var contrast = high_mean - low_mean;
+
+  if (contrast >= recognize_text.minimum_ink_contrast)
+    for (var i = 0, l = w * h; i < l; ++i)
+      mask[i] = dark_ink === levels[i] <= threshold ? 1 : 0;
+
+  return {x: x0, y: y0, w: w, h: h, mask: mask, channel: channel,
+          threshold: threshold, contrast: contrast, dark_ink: dark_ink};
+};
+
+// Colors and polarity.
+// The ink mask tells us which pixels are text, so estimating colors is just a
+// matter of averaging the RGB values on each side of it. Polarity follows from
+// which side of the threshold the ink fell on: dark-on-light for the usual
+// printed page, light-on-dark for terminals and inverted UI elements. This is
+// stored onto the box (a line or a word) along with the luminosity threshold,
+// which callers can use to binarize the region themselves. If the ink was found
+// on a color channel instead, the box also gets that channel's name, and the
+// threshold is a level of that channel:
+
+// | {..., polarity:   'dark-on-light',
+//         foreground: [12, 12, 20],
+//         background: [250, 248, 240],
+//         threshold:  118}
+
+// The box can be any sub-rectangle of the area the mask covers. If it contains no
+// ink at all, the foreground is null.
+
+recognize_text.describe_colors = function (image_data, ink, box) {
+  var data = image_data.data, width = image_data.width;
+  var fg   = [0, 0, 0, 0], bg = [0, 0, 0, 0];
+
+  var x0 = Math.max(ink.x, box.x), x1 = Math.min(ink.x + ink.w, box.x + box.w),
+      y0 = Math.max(ink.y, box.y), y1 = Math.min(ink.y + ink.h, box.y + box.h);
+
+  for (var y = y0; y < y1; ++y)
+    for (var x = x0; x < x1; ++x) {
+      var sums   = ink.mask[(y - ink.y) * ink.w + x - ink.x] ? fg : bg;
+      var offset = y * width + x << 2;
+      sums[0] += data[offset];
+      sums[1] += data[offset + 1];
+      sums[2] += data[offset + 2];
+      ++sums[3];
     }
 
-    // ... and do the same vertically.
-    if (columns[p.x].length > 1) {
-      var upward = columns[p.x][columns[p.x].length - 2];
-      upward.down = p;
-      p.up = upward;
+  var average = function (sums) {
+    return sums[3] ? [Math.round(sums[0] / sums[3]),
+                      Math.round(sums[1] / sums[3]),
+                      Math.round(sums[2] / sums[3])]
+                   : null;
+  };
+
+  box.polarity   = ink.dark_ink ? 'dark-on-light' : 'light-on-dark';
+  box.foreground = average(fg);
+  box.background = average(bg);
+  box.threshold  = ink.threshold;
+  if (ink.channel !== 'luminosity') box.channel = ink.channel;
+  return box;
+};
+
+// Words and characters.
+// With an ink mask in hand, a line splits naturally along its columns: runs of
+// columns containing ink are characters (or clusters of touching characters), and
+// the blank columns between them are gaps. Gaps between words are wider than gaps
+// between letters, but by how much depends on the font, so we look at the
+// distribution of gap widths within the line. The lower quartile is almost always
+// an inter-letter gap; anything wider than word_spacing times that starts a new
+// word. Each word and character box is then shrunk vertically to fit its ink.
+
+// | {x: 24, y: 15, w: 336, h: 24, confidence: 0.96, ...,
+//    words: [{x: 26, y: 20, w: 58, h: 14, ...,
+//             chars: [{x: 26, y: 20, w: 10, h: 14}, ...]},
+//            ...]}
+
+recognize_text.split_line = function (image_data, ink, word_spacing) {
+  var w = ink.w, h = ink.h, mask = ink.mask;
+  var runs = recognize_text.column_runs(ink);
+
+  // Shrink a column range to the rows that contain ink, producing a box in
+  // image coordinates.
+  var row_has_ink = function (y, from, to) {
+    for (var x = from; x < to; ++x)
+      if (mask[y * w + x]) return true;
+    return false;
+  };
+
+  var fit = function (from, to) {
+    for (var top = 0;    top < h      && !row_has_ink(top, from, to);        ++top);
+    for (var bottom = h; bottom > top && !row_has_ink(bottom - 1, from, to); --bottom);
+
+    return {x: ink.x + from, y: ink.y + top, w: to - from, h: bottom - top};
+  };
+
+  var gaps = [];
+  for (var i = 1, l = runs.length; i < l; ++i)
+    gaps.push(runs[i][0] - runs[i - 1][1]);
+
+  var letter_gap = recognize_text.letter_gap(gaps);
+
+  var words = [];
+  for (var i = 0, l = runs.length, chars = []; i < l; ++i) {
+    chars.push(fit(runs[i][0], runs[i][1]));
+
+    if (i === l - 1 || gaps[i] > word_spacing * letter_gap) {
+      var word = fit(runs[i - chars.length + 1][0], runs[i][1]);
+      recognize_text.describe_colors(image_data, ink, word);
+      word.chars = chars;
+      words.push(word);
+      chars = [];
     }
   }
 
-  // Now create the sorted array and sort by interior classification.
-  var sorted_by_interior = points.slice().sort(function (x, y) {
-    return y.interior - x.interior;
+  return words;
+};
+
+// Two helpers, which joinable() above uses as well: column_runs(ink) finds the
+// [from, to) runs of columns with ink in them, and letter_gap(gaps) is the lower
+// quartile of a line's gap widths, or 1 if that's smaller.
+
+recognize_text.column_runs = function (ink) {
+  var w = ink.w, h = ink.h, mask = ink.mask, runs = [];
+  for (var x = 0, start = -1; x <= w; ++x) {
+    var has_ink = false;
+    for (var y = 0; x < w && y < h && !has_ink; ++y)
+      has_ink = mask[y * w + x] === 1;
+
+    if (has_ink && start < 0)  start = x;
+    if (!has_ink && start >= 0) runs.push([start, x]), start = -1;
+  }
+  return runs;
+};
+
+recognize_text.letter_gap = function (gaps) {
+  var sorted = gaps.slice().sort(function (a, b) {return a - b});
+  return Math.max(1, sorted[sorted.length >> 2] || 0);
+};
+
+// Text height.
+// describe_line() runs the pixel-level stages over a line: ink separation, colors
+// and the word/character split. It also estimates the size of the text as the
+// median height of the line's character cells. For ordinary mixed-case text that
+// lands between the x-height and the cap height, closer to the latter, which is a
+// reasonable proxy for font size. Lines without any characters get null.
+
+recognize_text.describe_line = function (image_data, line, word_spacing) {
+  var ink = recognize_text.ink(image_data, line);
+  recognize_text.describe_colors(image_data, ink, line);
+  line.words = recognize_text.split_line(image_data, ink, word_spacing);
+
+  var heights = [];
+  for (var i = 0, l = line.words.length; i < l; ++i)
+    for (var j = 0, chars = line.words[i].chars, lj = chars.length; j < lj; ++j)
+      heights.push(chars[j].h);
+
+  heights.sort(function (a, b) {return a - b});
+  line.text_height = heights.length ? heights[heights.length >> 1] : null;
+  return line;
+};
+
+// Multiple scales.
+// The ray length fixes the range of text sizes the locator responds to: rays much
+// shorter than a character's strokes see only solid ink, and rays much longer
+// than a line's height span several lines at once. So a single pass finds either
+// the headings or the footnotes on a page, but rarely both.
+
+// In multiscale mode we run the locator several times, multiplying the ray
+// interval and grid spacing by scale_factor each time, and merge the results with
+// the same overlap rules used within a single scale. Each line reports the scale
+// multiplier it was found at; together with its text_height this tells you what
+// size of text it contains.
+
+// Scores from different scales don't say much about which scale is right when
+// boxes from two scales disagree. The usual failure is a coarse scale lumping
+// several small lines into one box, and that's easy to spot at the pixel level:
+// the box's ink forms several horizontal bands instead of one. We divide each
+// box's score by its band count before merging, which lets the finer scale's
+// individual lines win, and recompute its confidence from the result.
+
+recognize_text.locate_multiscale = function (image_data, options) {
+  return recognize_text.finish(recognize_text.multiscale_locator(image_data, options));
+};
+
+recognize_text.multiscale_locator = function (image_data, options, reuse) {
+  var defaults = recognize_text.defaults;
+  var count    = options.scale_count  || defaults.scale_count;
+  var factor   = options.scale_factor || defaults.scale_factor;
+
+  var ray_interval       = options.ray_interval       || defaults.ray_interval;
+  var horizontal_spacing = options.horizontal_spacing || defaults.horizontal_spacing;
+  var vertical_spacing   = options.vertical_spacing   || defaults.vertical_spacing;
+
+  // Each scale contributes its own rays, classification and growth phases;
+  // they're tagged with the scale so that progress reports can tell them apart.
+  // They all sample the same channel maps, made by whichever runs first.
+  var locators = [], phases = [], maps = null;
+  var channel_maps = function () {
+    return maps || (maps = recognize_text.channel_maps(image_data, options));
+  };
+
+  for (var i = 0, scale = 1; i < count; ++i, scale *= factor) {
+    var locator = recognize_text.locator(image_data, recognize_text.with_options(options, {
+      ray_interval:       ray_interval * scale,
+      horizontal_spacing: Math.max(1, Math.round(horizontal_spacing * scale)),
+      vertical_spacing:   Math.max(1, Math.round(vertical_spacing   * scale))}),
+      reuse && {grid: reuse.grids[i], changed: reuse.changed}, channel_maps);
+
+    locator.scale = scale;
+    locators.push(locator);
+    for (var j = 0, lj = locator.phases.length; j < lj; ++j)
+      locator.phases[j].scale = scale,
+      phases.push(locator.phases[j]);
+  }
+
+  var merged = null;
+  var lines  = function () {
+    if (merged) return merged;
+
+    var all = [];
+    for (var i = 0, l = locators.length; i < l; ++i)
+      for (var j = 0, found = locators[i].lines(), lj = found.length; j < lj; ++j) {
+        found[j].scale       = locators[i].scale;
+        found[j].score      /= recognize_text.count_bands(recognize_text.ink(image_data, found[j]));
+        found[j].confidence  = recognize_text.calibrated(found[j].score,
+                                 (options.calibration || recognize_text.calibration).boxes);
+        all.push(found[j]);
+      }
+
+    return merged = recognize_text.merge_rectangles(all, options.merge_overlap ||
+                                                           defaults.merge_overlap,
+                                                    recognize_text.merge_gap(options),
+                                                    recognize_text.joinable(image_data));
+  };
+
+  var result = function () {
+    if (!options.cells) return lines();
+
+    var cells = [];
+    for (var i = 0, l = locators.length; i < l; ++i)
+      for (var j = 0, found = locators[i].result(), lj = found.length; j < lj; ++j)
+        found[j].scale = locators[i].scale,
+        cells.push(found[j]);
+    return cells;
+  };
+
+  var grids = function () {
+    var result = [];
+    for (var i = 0, l = locators.length; i < l; ++i)
+      result.push(locators[i].grids()[0]);
+    return result;
+  };
+
+  var diagnostics = function () {
+    var result = [];
+    for (var i = 0, l = locators.length; i < l; ++i) {
+      var grid = locators[i].diagnostics()[0];
+      grid.scale = locators[i].scale;
+      result.push(grid);
+    }
+    return result;
+  };
+
+  return {phases: phases, result: result, lines: lines, grids: grids,
+          diagnostics: diagnostics};
+};
+
+// Counting bands.
+// A band is a run of rows containing ink. Bands much shorter than the tallest one
+// are ignored; they're usually the dots on i's and j's or stray noise rather than
+// separate lines. A blank region counts as a single band so that callers can
+// divide by the result.
+
+recognize_text.count_bands = function (ink) {
+  var heights = [];
+  for (var y = 0, run = 0; y <= ink.h; ++y) {
+    var has_ink = false;
+    for (var x = 0; y < ink.h && x < ink.w && !has_ink; ++x)
+      has_ink = ink.mask[y * ink.w + x] === 1;
+
+    if (has_ink) ++run;
+    else if (run) heights.push(run), run = 0;
+  }
+
+  var tallest = Math.max.apply(Math, heights.concat([0]));
+  for (var i = 0, bands = 0; i < heights.length; ++i)
+    heights[i] >= tallest / 3 && ++bands;
+  return Math.max(1, bands);
+};
+
+// Skew.
+// Everything above assumes that lines of text are horizontal. When they aren't,
+// we measure the angle, rotate the image so that they are, and run the detector
+// on the straightened copy. Boxes are rotated back afterwards.
+
+// The angle comes from a projection profile. Text strokes produce strong
+// horizontal luminosity changes, and those pixels cluster into bands along each
+// line. If we project them onto the axis perpendicular to the text, the bands
+// pile up into sharp peaks at the right angle and smear out at any other. The
+// sharpness of the profile is measured as the sum of its squared bin counts; we
+// search coarsely across [-maximum_skew, maximum_skew] and then refine around the
+// best angle.
+
+// Angles are in radians and follow the canvas convention: positive angles are
+// clockwise, since y points down. A skew of t means that text runs along the
+// vector (cos t, sin t).
+
+recognize_text.estimate_skew = function (image_data, maximum_skew) {
+  var estimate = recognize_text.skew_estimate(image_data, maximum_skew);
+  estimate.run(0, estimate.total);
+  return estimate.skew();
+};
+
+// Like the detector itself, the estimate is split into items so that async() can
+// do a few at a time: first the rows we collect edges from, then the coarse
+// angles, then the fine ones. skew_estimate(image_data, maximum_skew) returns
+// {total, run(from, to), skew()}, and skew() gives the answer once every item has
+// run.
+
+recognize_text.skew_estimate = function (image_data, maximum_skew) {
+  var luminosity = recognize_text.luminosity(image_data);
+  var w = image_data.width, h = image_data.height;
+
+  // Collect strong horizontal edges, sampling rows sparsely enough to keep the
+  // point count manageable on big images.
+  var row_step = Math.max(1, Math.floor(w * h / 400000));
+  var rows     = Math.ceil(h / row_step);
+  var xs = [], ys = [];
+  var collect = function (y) {
+    for (var x = 0, last = luminosity(0, y), current; x < w - 1; ++x, last = current)
+      if (Math.abs((current = luminosity(x + 1, y)) - last) > 0.03)
+        xs.push(x), ys.push(y);
+  };
+
+  var bins = new Float64Array(w + h + 2);
+  var sharpness = function (angle) {
+    var sin = Math.sin(angle), cos = Math.cos(angle), score = 0;
+    for (var i = 0, l = bins.length; i < l; ++i) bins[i] = 0;
+    for (var i = 0, l = xs.length; i < l; ++i)
+      ++bins[ys[i] * cos - xs[i] * sin + w | 0];
+    for (var i = 0, l = bins.length; i < l; ++i) score += bins[i] * bins[i];
+    return score;
+  };
+
+  // Angles are stepped in integer multiples to avoid accumulating rounding
+  // error. The fine search is centered on the best coarse angle, which is
+  // settled by the time we get to it.
+  var coarse_steps = Math.ceil(maximum_skew / 0.01), fine_steps = 10;
+  var coarse = {center: 0, best: 0, score: -1}, fine = {center: 0, best: 0, score: -1};
+  var search = function (s, i, step) {
+    var angle = s.center + i * step, score = sharpness(angle);
+    if (score > s.score) s.best = angle, s.score = score;
+  };
+
+  var fine_start = rows + 2 * coarse_steps + 1;
+  return {
+    total: fine_start + 2 * fine_steps + 1,
+    run:   function (from, to) {
+      for (var i = from; i < to; ++i)
+        if      (i < rows)       collect(i * row_step);
+        else if (!xs.length)     continue;
+        else if (i < fine_start) search(coarse, i - rows - coarse_steps, 0.01);
+        else {
+          if (i === fine_start) fine.center = coarse.best;
+          search(fine, i - fine_start - fine_steps, 0.001);
+        }
+    },
+    skew:  function () {return xs.length ? fine.best : 0}
+  };
+};
+
+// Rotating images.
+// rotate_image(image_data, angle) returns a new image whose contents are the
+// original turned by -angle around its center, so text skewed by angle comes out
+// level. The output is enlarged to hold the whole rotated image, and the uncovered
+// corners are filled with the average color of the original border so that they
+// don't introduce edges of their own. Sampling is bilinear.
+
+// The returned object also carries a to_source(x, y) function that maps a point
+// in the rotated image back to the original, and from_source(x, y), which does
+// the reverse.
+
+recognize_text.rotate_image = function (image_data, angle) {
+  var rotation = recognize_text.rotation(image_data, angle);
+  rotation.run(0, rotation.total);
+  return rotation.image;
+};
+
+// For async(), rotation(image_data, angle) does the same work a row at a time: it
+// returns {image, total, run(from, to)}, where total is the image's height and
+// run() fills in rows from through to - 1.
+
+recognize_text.rotation = function (image_data, angle) {
+  var w = image_data.width, h = image_data.height, data = image_data.data;
+  var sin = Math.sin(angle), cos = Math.cos(angle);
+
+  var rw = Math.ceil(Math.abs(w * cos) + Math.abs(h * sin)),
+      rh = Math.ceil(Math.abs(w * sin) + Math.abs(h * cos));
+  var result = {width: rw, height: rh, data: new Uint8ClampedArray(rw * rh << 2)};
+  var output = result.data;
+
+  result.to_source = function (x, y) {
+    var dx = x - rw / 2, dy = y - rh / 2;
+    return [w / 2 + dx * cos - dy * sin, h / 2 + dx * sin + dy * cos];
+  };
+
+  result.from_source = function (x, y) {
+    var dx = x - w / 2, dy = y - h / 2;
+    return [rw / 2 + dx * cos + dy * sin, rh / 2 - dx * sin + dy * cos];
+  };
+
+  var fill = [0, 0, 0, 0], count = 0;
+  var add_fill = function (x, y) {
+    var o = y * w + x << 2;
+    fill[0] += data[o], fill[1] += data[o + 1], fill[2] += data[o + 2],
+    fill[3] += data[o + 3], ++count;
+  };
+  for (var x = 0; x < w; ++x) add_fill(x, 0), add_fill(x, h - 1);
+  for (var y = 0; y < h; ++y) add_fill(0, y), add_fill(w - 1, y);
+
+  var run = function (from, to) {
+    for (var y = from; y < to; ++y)
+      for (var x = 0; x < rw; ++x) {
+        var source = result.to_source(x + 0.5, y + 0.5);
+        var sx = source[0] - 0.5, sy = source[1] - 0.5, o = y * rw + x << 2;
+
+        if (sx < 0 || sy < 0 || sx > w - 1 || sy > h - 1) {
+          for (var c = 0; c < 4; ++c) output[o + c] = fill[c] / count;
+          continue;
+        }
+
+        var x0 = Math.floor(sx), y0 = Math.floor(sy);
+        var x1 = Math.min(x0 + 1, w - 1), y1 = Math.min(y0 + 1, h - 1);
+        var fx = sx - x0, fy = sy - y0;
+        var o00 = y0 * w + x0 << 2, o10 = y0 * w + x1 << 2,
+            o01 = y1 * w + x0 << 2, o11 = y1 * w + x1 << 2;
+
+        for (var c = 0; c < 4; ++c)
+          output[o + c] = (data[o00 + c] * (1 - fx) + data[o10 + c] * fx) * (1 - fy) +
+                          (data[o01 + c] * (1 - fx) + data[o11 + c] * fx) * fy;
+      }
+  };
+
+  return {image: result, total: rh, run: run};
+};
+
+// Rotating regions.
+// rotate_region(rotated, region) maps a rectangle in the original image to the
+// smallest rectangle in the rotated image that contains it.
+
+recognize_text.rotate_region = function (rotated, region) {
+  var corners = [rotated.from_source(region.x,            region.y),
+                 rotated.from_source(region.x + region.w, region.y),
+                 rotated.from_source(region.x,            region.y + region.h),
+                 rotated.from_source(region.x + region.w, region.y + region.h)];
+
+  var x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+  for (var i = 0; i < 4; ++i)
+    x0 = Math.min(x0, corners[i][0]), x1 = Math.max(x1, corners[i][0]),
+    y0 = Math.min(y0, corners[i][1]), y1 = Math.max(y1, corners[i][1]);
+
+  return {x: Math.floor(x0),              y: Math.floor(y0),
+          w: Math.ceil(x1) - Math.floor(x0), h: Math.ceil(y1) - Math.floor(y0)};
+};
+
+// Deskewed detection.
+// This is what recognize_text() does when the deskew option is set. Every box in
+// the result (lines, words and characters) gets a rotated field describing it in
+// the original image's coordinates:
+
+// | {cx: 212.4, cy: 96.1, w: 180, h: 14, angle: 0.052}
+
+// That is, a w-by-h rectangle centered at (cx, cy) and rotated clockwise by angle;
+// on a canvas you'd draw it with translate(cx, cy), rotate(angle) and then
+// rect(-w / 2, -h / 2, w, h). The box's x, y, w and h become the axis-aligned
+// bounds of the rotated rectangle, so code that doesn't care about rotation keeps
+// working. The result also reports the estimated skew.
+
+// Rotating resamples every pixel, which blurs the colors we measure and makes
+// every coordinate fractional, so it isn't worth doing for an angle too small to
+// see. When the skew moves one end of a line across the image by less than half
+// a pixel relative to the other, or is a single step of the fine search (0.001),
+// which the estimate can't tell apart from no skew at all, we detect on the
+// original image instead and return the plain result, with no rotated fields and
+// a skew of 0.
+
+recognize_text.deskew = function (image_data, options) {
+  return recognize_text.finish(recognize_text.deskew_job(image_data, options));
+};
+
+recognize_text.deskew_job = function (image_data, options) {
+  image_data = recognize_text.image_data(image_data, options);
+
+  var straight = recognize_text.with_options(options, {deskew: false});
+  var job      = {phases: []};
+  var estimate, rotation, skew, rotated, inner;
+
+  job.phases.push({
+    name:  'skew',
+    begin: function () {
+      estimate = recognize_text.skew_estimate(image_data, options.maximum_skew ||
+                                                          recognize_text.defaults.maximum_skew);
+      return estimate.total;
+    },
+    run:   function (from, to) {estimate.run(from, to)}
+  });
+
+  // We can't know what the rest of the work looks like until we've rotated the
+  // image, so the rotation phase appends the straightened job's phases to ours
+  // once it's done.
+  job.phases.push({
+    name:  'rotation',
+    begin: function () {
+      skew = estimate.skew();
+      if (Math.abs(skew) * image_data.width < 0.5 || Math.abs(skew) < 0.0015) {
+        skew  = 0;
+        inner = recognize_text.job(image_data, straight);
+        job.phases.push.apply(job.phases, inner.phases);
+        return 0;
+      }
+
+      rotation = recognize_text.rotation(image_data, skew);
+      rotated  = rotation.image;
+      return rotation.total;
+    },
+    run:   function (from, to) {
+      if (!rotation) return;
+      rotation.run(from, to);
+      if (to < rotation.total || inner) return;
+
+      // A region of interest becomes whatever part of the rotated image covers
+      // it.
+      if (options.region)
+        straight.region = recognize_text.rotate_region(rotated, options.region);
+
+      inner = recognize_text.job(rotated, straight);
+      job.phases.push.apply(job.phases, inner.phases);
+    }
   });
 
-  // Start with the strongest interior classification and proceed left, right,
-  // up, and down until we start hitting edges. These become the extremities of
-  // the rectangle.
-  var rectangles         = [];
-  var maximum_confidence = 0;
-  for (var i = 0, l = sorted_by_interior.length, p;
-       i < l && sorted_by_interior[i].interior > minimum_interior;
-       ++i) {
-    p = sorted_by_interior[i];
-
-    if (!(p.up && p.down && p.left && p.right))
-      continue;
-
-    // Look for top/bottom edges first.
-    var top_edge    = p.up;
-    var bottom_edge = p.down;
-
-    var top_moment   = 0;
-    var top_total    = 0;
-    var top_distance = 0;
-    while (top_edge.up
-        && (top_moment = top_edge.interior - top_edge.top_edge) > 0
-        && (top_distance === 0 ||
-            top_total + top_moment / (top_distance + 1) >
-              top_total / top_distance))
-      top_edge   = top_edge.up,
-      top_total += top_moment,
-      ++top_distance;
-
-    var bottom_moment   = 0;
-    var bottom_total    = 0;
-    var bottom_distance = 0;
-    while (bottom_edge.down
-        && (bottom_moment = bottom_edge.interior - bottom_edge.bottom_edge) > 0
-        && (bottom_distance === 0 ||
-            bottom_total + bottom_moment / (bottom_distance + 1) >
-              bottom_total / bottom_distance))
-      bottom_edge   = bottom_edge.down,
-      bottom_total += bottom_moment,
-      ++bottom_distance;
-
-    // Now go left and right until we hit corners and edges. Add up the
-    // confidence as we go. Note that the points are in a grid, so p1.left.x ===
-    // p2.left.x iff p1.x === p2.x.
-    var left_edge = p;
-    var nw_corner = top_edge;
-
-    while (left_edge.left &&
-           left_edge.interior + nw_corner.top_edge + left_edge_bias >
-           left_edge.left_edge + nw_corner.nw_corner)
-      left_edge = left_edge.left,
-      nw_corner = nw_corner.left;
-
-    // Do the same thing for the right side.
-    var right_edge = p;
-    var se_corner  = bottom_edge;
-
-    while (right_edge.right &&
-           right_edge.interior + se_corner.bottom_edge + right_edge_bias >
-           right_edge.right_edge + se_corner.se_corner)
-      right_edge = right_edge.right,
-      se_corner  = se_corner.right;
-
-    // Now add up the rectangle classification values to get the confidence.
-    var confidence = 0;
-    var area       = (se_corner.x - nw_corner.x) * (se_corner.y - nw_corner.y);
-
-    for (var h_iterator = nw_corner.right;
-         h_iterator.x < se_corner.x;
-         h_iterator = h_iterator.right)
-      for (var v_iterator = h_iterator.down;
-           v_iterator.y < se_corner.y;
-           v_iterator = v_iterator.down)
-        confidence += v_iterator.interior;
-
-    for (var top_iterator = nw_corner.right,
-             bottom_iterator = se_corner.left;
-         top_iterator.x < se_corner.x;
-         top_iterator    = top_iterator.right,
-         bottom_iterator = bottom_iterator.left)
-      confidence += top_iterator.top_edge + bottom_iterator.bottom_edge;
-
-    for (var left_iterator = nw_corner.down,
-             right_iterator = se_corner.up;
-         left_iterator.y < se_corner.y;
-         left_iterator = left_iterator.down,
-         right_iterator = right_iterator.up)
-      confidence += left_iterator.left_edge + right_iterator.right_edge;
-
-    confidence += nw_corner.nw_corner + se_corner.se_corner;
-    confidence /= area * (se_corner.y - nw_corner.y);
-
-    maximum_confidence = Math.max(confidence, maximum_confidence);
-
-    rectangles.push({x: p.x, y: p.y,
-                     w: horizontal_spacing, h: vertical_spacing,
-                     confidence: p.ray_summaries[0].magnitude +
-                                 p.ray_summaries[2].magnitude +
-                                 p.ray_summaries[4].magnitude +
-                                 p.ray_summaries[6].magnitude});
+  // The rotated grid depends on the skew, so there's nothing for an
+  // incremental update to carry over.
+  job.grids = function () {return []};
+
+  job.result = function () {
+    var result = inner.result();
+    if (!rotated) return result.skew = 0, result;
+
+    var sin    = Math.abs(Math.sin(skew)), cos = Math.abs(Math.cos(skew));
+
+    var unrotate = function (box) {
+      var center = rotated.to_source(box.x + box.w / 2, box.y + box.h / 2);
+      var ex     = (box.w * cos + box.h * sin) / 2,
+          ey     = (box.w * sin + box.h * cos) / 2;
+
+      box.rotated = {cx: center[0], cy: center[1], w: box.w, h: box.h, angle: skew};
+      box.x = center[0] - ex, box.w = 2 * ex;
+      box.y = center[1] - ey, box.h = 2 * ey;
+
+      for (var i = 0, children = box.words || box.chars || [], l = children.length; i < l; ++i)
+        unrotate(children[i]);
+    };
+
+    for (var i = 0, boxes = result.lines || result.cells, l = boxes.length; i < l; ++i)
+      unrotate(boxes[i]);
+
+    result.skew = skew;
+    return result;
+  };
+
+  return job;
+};
+
+// Incremental detection.
+// When the input is a sequence of screen captures, most of each frame is the same
+// as the one before it and there's no reason to analyze it again. frame() runs
+// the detector and keeps what it needs to do less work next time; update() takes
+// that frame and a new image of the same size and returns the next frame:
+
+// | var frame = recognize_text.frame(image_data, {normalize_background: true});
+//   ...
+//   frame = recognize_text.update(frame, next_image_data);
+//   frame.diff.added.forEach(...);
+
+// We compare the two images in tiles of tile_size x tile_size pixels. Only grid
+// points whose rays reach into a changed tile are sampled again; the others keep
+// their old ray data. Classification and rectangle growth run over the whole grid
+// as usual, since they're cheap and depend on every point's neighbors. Lines that
+// come out with the same box as before and don't touch a changed tile keep their
+// old words, characters and colors.
+
+// A frame looks like a recognize_text() result with some additions:
+
+// | {lines:   [...],
+//    diff:    {added: [...], removed: [...], moved: [{from: ..., to: ...}]},
+//    changed: {tiles: 3, total: 1200},
+//    state:   {...}}
+
+// The diff compares the new lines to the previous frame's. A line whose box didn't
+// change at all isn't mentioned; a new box that overlaps a now-missing one is
+// reported as that box having moved (or resized); anything left over was added
+// or removed. state is bookkeeping for update() and shouldn't be relied on. It
+// holds a copy of the pixels and the whole point grid, so leave it out if you
+// serialize a frame. The diff only looks one frame back; track.js follows lines
+// over many frames, with ids that survive a line being missed now and then.
+
+// The deskew option disables the reuse of ray data because a change anywhere can
+// change the skew, but update() still works and still reports a diff.
+
+recognize_text.tile_size = 16;
 
+recognize_text.frame = function (image_data, options) {
+  return recognize_text.next_frame(null, image_data, options || {});
+};
+
+recognize_text.update = function (frame, image_data) {
+  image_data = recognize_text.image_data(image_data, frame.state.options);
+  if (image_data.width !== frame.state.width || image_data.height !== frame.state.height)
+    return recognize_text.frame(image_data, frame.state.options);
+
+  return recognize_text.next_frame(frame, image_data, frame.state.options);
+};
+
+recognize_text.next_frame = function (previous, image_data, options) {
+  image_data = recognize_text.image_data(image_data, options);
+
+  var tiles = previous && recognize_text.changed_tiles(previous.state.pixels, image_data);
+  var job   = recognize_text.job(image_data, options,
+                                 tiles && {grids:   previous.state.grids,
+                                           lines:   previous.lines || [],
+                                           changed: tiles.changed});
+
+  var frame = recognize_text.finish(job);
+  var boxes = frame.lines || frame.cells;
+
+  frame.diff    = recognize_text.diff(previous ? previous.lines || previous.cells : [], boxes);
+  frame.changed = tiles ? {tiles: tiles.count, total: tiles.total}
+                        : {tiles: 0, total: 0};
+  frame.state   = {width:   image_data.width,
+                   height:  image_data.height,
+                   options: options,
+                   pixels:  new Uint8ClampedArray(image_data.data),
+                   grids:   job.grids()};
+  return frame;
+};
+
+// Finding changed tiles.
+// changed_tiles(pixels, image_data) compares the previous frame's pixels to the
+// new image. It returns the number of changed tiles and a changed(x0, y0, x1, y1)
+// function that tells whether any tile overlapping that rectangle changed.
+
+recognize_text.changed_tiles = function (pixels, image_data) {
+  var w    = image_data.width, h = image_data.height, data = image_data.data;
+  var size = recognize_text.tile_size;
+  var tw   = Math.ceil(w / size), th = Math.ceil(h / size);
+
+  var tiles = new Uint8Array(tw * th), count = 0;
+  for (var y = 0; y < h; ++y)
+    for (var x = 0, o = y * w << 2; x < w; ++x, o += 4)
+      if (pixels[o]     !== data[o]     || pixels[o + 1] !== data[o + 1] ||
+          pixels[o + 2] !== data[o + 2] || pixels[o + 3] !== data[o + 3]) {
+        var t = (y / size | 0) * tw + (x / size | 0);
+        if (!tiles[t]) tiles[t] = 1, ++count;
+      }
+
+  var changed = function (x0, y0, x1, y1) {
+    var tx0 = Math.max(0, Math.floor(x0 / size)), tx1 = Math.min(tw - 1, Math.floor(x1 / size));
+    var ty0 = Math.max(0, Math.floor(y0 / size)), ty1 = Math.min(th - 1, Math.floor(y1 / size));
+
+    for (var ty = ty0; ty <= ty1; ++ty)
+      for (var tx = tx0; tx <= tx1; ++tx)
+        if (tiles[ty * tw + tx]) return true;
+    return false;
+  };
 
+  return {count: count, total: tw * th, changed: count ? changed : function () {return false}};
+};
+
+// Reusing line descriptions.
+// A line keeps its old description if the previous frame had a line with the same
+// box and nothing inside the box changed. Confidence isn't part of the
+// description, so the new line keeps its own.
+
+recognize_text.reuse_description = function (reuse, line) {
+  if (reuse.changed(line.x, line.y, line.x + line.w, line.y + line.h))
+    return false;
+
+  for (var i = 0, l = reuse.lines.length, old; i < l; ++i)
+    if ((old = reuse.lines[i]).x === line.x && old.y === line.y &&
+        old.w === line.w && old.h === line.h) {
+      for (var k in old)
+        if (old.hasOwnProperty(k) && !line.hasOwnProperty(k))
+          line[k] = old[k];
+      return true;
+    }
+
+  return false;
+};
+
+// Diffs.
+// diff(before, after) matches up two lists of boxes. Identical boxes are paired
+// first; then each remaining new box is paired with the remaining old box it
+// overlaps most, if any.
+
+recognize_text.diff = function (before, after) {
+  var claimed = [], added = [], moved = [], removed = [], pending = [];
+
+  var same = function (a, b) {
+    return a.x === b.x && a.y === b.y && a.w === b.w && a.h === b.h;
+  };
+
+  for (var i = 0, l = after.length; i < l; ++i) {
+    for (var j = 0, lj = before.length; j < lj; ++j)
+      if (!claimed[j] && same(before[j], after[i])) break;
+
+    if (j < lj) claimed[j] = true;
+    else        pending.push(after[i]);
   }
 
-  // Scale confidence values so that they span a unit interval, then remove
-  // rectangles below the minimum confidence limit.
-  var survivors = [];
-  for (var i = 0, l = rectangles.length; i < l; ++i) {
-    rectangles[i].confidence /= maximum_confidence;
-    if (rectangles[i].confidence >= minimum_confidence)
-      survivors.push(rectangles[i]);
+  for (var i = 0, l = pending.length; i < l; ++i) {
+    var best = -1, best_overlap = 0;
+    for (var j = 0, lj = before.length, o; j < lj; ++j)
+      if (!claimed[j] && (o = recognize_text.overlap(before[j], pending[i])) > best_overlap)
+        best = j, best_overlap = o;
+
+    if (best >= 0) claimed[best] = true, moved.push({from: before[best], to: pending[i]});
+    else           added.push(pending[i]);
   }
 
-  return survivors;
+  for (var j = 0, lj = before.length; j < lj; ++j)
+    if (!claimed[j]) removed.push(before[j]);
+
+  return {added: added, removed: removed, moved: moved};
+};
+
+// Box overlap.
+// overlap(a, b) is the intersection-over-union of two boxes: 1 for identical boxes
+// and 0 for disjoint ones.
+
+recognize_text.overlap = function (a, b) {
+  var ix = Math.min(a.x + a.w, b.x + b.w) - Math.max(a.x, b.x);
+  var iy = Math.min(a.y + a.h, b.y + b.h) - Math.max(a.y, b.y);
+  if (ix <= 0 || iy <= 0) return 0;
+
+  var intersection = ix * iy;
+  return intersection / (a.w * a.h + b.w * b.h - intersection);
+};
+
+// Diagnostics.
+// Between sampling rays and growing rectangles, every grid point is classified by
+// how much it looks like a rectangle's interior, each of its four edges, and its
+// northwest and southeast corners. Those classifications explain most of what the
+// detector does, so with the diagnostics option set the result includes them:
+
+// | {lines: [...],
+//    diagnostics: [{x: 6, y: 6, columns: 162, rows: 82,
+//                   spacing_x: 3, spacing_y: 3,
+//                   maps: {interior: [...], left_edge: [...], ...}}]}
+
+// There's one grid per scale (and each grid in multiscale mode has a scale field).
+// The grid's first point is at (x, y), and point (column, row) sits at (x + column
+// * spacing_x, y + row * spacing_y); its value in each map is at index row *
+// columns + column. Besides the seven classifications there's a magnitude map,
+// which is the total strength of the segments that point's rays saw. With the
+// deskew option the grids describe the straightened image, not the original.
+
+recognize_text.diagnostic_maps = ['interior', 'left_edge', 'right_edge', 'top_edge',
+                                  'bottom_edge', 'nw_corner', 'se_corner', 'magnitude'];
+
+recognize_text.diagnostic_grid = function (grid) {
+  var names   = recognize_text.diagnostic_maps;
+  var rows    = grid.count ? grid.rows    : 0;
+  var columns = grid.count ? grid.columns : 0;
+  var result  = {x:         grid.count ? grid.x : 0,
+                 y:         grid.count ? grid.y : 0,
+                 columns:   columns,
+                 rows:      rows,
+                 spacing_x: grid.spacing_x,
+                 spacing_y: grid.spacing_y,
+                 maps:      {}};
+
+  for (var i = 0, l = names.length; i < l; ++i)
+    result.maps[names[i]] = new Array(grid.count);
+
+  // The grid is stored column by column, and maps are row by row.
+  for (var i = 0, l = grid.count; i < l; ++i) {
+    var index = (i % rows) * columns + (i / rows | 0);
+
+    // Everything but magnitude, the last map, has an array on the grid.
+    for (var j = 0, lj = names.length - 1; j < lj; ++j)
+      result.maps[names[j]][index] = grid[names[j]][i];
+
+    for (var j = 0, magnitude = 0; j < 8; ++j)
+      magnitude += grid.magnitudes[i * 8 + j];
+    result.maps.magnitude[index] = magnitude;
+  }
+
+  return result;
+};
+
+// Heatmaps.
+// heatmap(grid, name, width, height, color) paints one of a grid's maps into a
+// width x height RGBA image, shaped like ImageData, in which each point covers
+// the spacing_x x spacing_y cell around it. The color defaults to red, and each
+// cell's opacity is its value relative to the largest value in the map. Draw the
+// result over the image to see where the map is strong.
+
+recognize_text.heatmap = function (grid, name, width, height, color) {
+  var map    = grid.maps[name];
+  var rgb    = color || [255, 0, 0];
+  var result = {width: width, height: height, data: new Uint8ClampedArray(width * height << 2)};
+  var data   = result.data;
+
+  for (var i = 0, maximum = 0, l = map.length; i < l; ++i)
+    maximum = Math.max(maximum, map[i]);
+
+  for (var row = 0; row < grid.rows; ++row)
+    for (var column = 0; column < grid.columns; ++column) {
+      var alpha = maximum && 255 * map[row * grid.columns + column] / maximum;
+      if (!(alpha > 0)) continue;
+
+      var cx = grid.x + column * grid.spacing_x, cy = grid.y + row * grid.spacing_y;
+      var x0 = Math.max(0, Math.round(cx - grid.spacing_x / 2)),
+          x1 = Math.min(width, Math.round(cx + grid.spacing_x / 2));
+      var y0 = Math.max(0, Math.round(cy - grid.spacing_y / 2)),
+          y1 = Math.min(height, Math.round(cy + grid.spacing_y / 2));
+
+      for (var y = y0; y < y1; ++y)
+        for (var x = x0, o = y * width + x << 2; x < x1; ++x, o += 4)
+          data[o] = rgb[0], data[o + 1] = rgb[1], data[o + 2] = rgb[2], data[o + 3] = alpha;
+    }
+
+  return result;
 };
 
+// Using this from Node.
+// Nothing above depends on the DOM except for drawing images and videos, which
+// Node doesn't have anyway; all we need is an object with width, height and pixel
+// data. So in addition to defining a global for the browser, we export
+// the function as a CommonJS module. image-io.js decodes PNG and netpbm files into
+// the right shape, and bin/recognize-text wraps the whole thing up as a
+// command-line tool:
+
+// | $ bin/recognize-text --ray-steps 8 scan.png
+
+if (typeof module === 'object' && module.exports)
+  module.exports = recognize_text;
 // Generated by SDoc 
@@ -0,0 +1,356 @@
+// Text masks and redaction | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// Finding text is often the first step in getting rid of it. text_mask() turns a
+// recognize_text() result into a mask of the pixels that are text strokes (as
+// opposed to the background they're drawn on), and redact() paints over pixels
+// like that:
+
+// | var result   = recognize_text(image_data);
+//   var mask     = recognize_text.text_mask(image_data, result);
+//   var redacted = recognize_text.redact(image_data, result, 'inpaint');
+
+// The mask is an object like ImageData, but with one byte per pixel, 1 for text
+// and 0 elsewhere. It also says which line each pixel belongs to and what colors
+// that line's ink and background are, which fill and inpaint use to tell stray
+// bits of ink from background (see below):
+
+// | {width: 640, height: 480, data: Uint8Array(640 * 480),
+//    areas: Int32Array(640 * 480),
+//    colors: [{foreground: [12, 12, 20], background: [250, 248, 240]}, ...]}
+
+// The result of redact(image_data, regions, mode, options) is a new image (the
+// input isn't changed) of the same size. Like recognize_text(), these take any
+// image that recognize_text.image_data() accepts, and the result is opaque, with
+// transparent pixels composited against options.matte. regions says which
+// pixels to redact. It can be a recognize_text() result, in which case it's the text mask of
+// that result, or a mask, or an array of boxes (lines, words, characters, or any
+// {x, y, w, h}), in which case it's all of the pixels inside them. mode is one of:
+
+// | fill       the pixels become the background color of their line, or for a
+//              mask that doesn't come with colors, each connected patch becomes
+//              the average color of the pixels around it; this is the default
+//   inpaint    the pixels are filled in from their surroundings inward, which
+//              follows gradients and textured backgrounds better than fill
+//   blur       a box blur of the given radius; the pixels within that radius of
+//              the ones being redacted are blurred too, so strokes don't show
+//              through as sharp-edged shapes
+//   pixelate   the image is cut into blocks of the given size, and each block
+//              containing a pixel to be redacted becomes its average color
+
+// Fill and inpaint leave nothing of the text behind. Blur and pixelate can leave
+// enough to guess at short or large text, so use them only when that doesn't
+// matter.
+
+// This needs recognize-text.js to be loaded first, and under Node it loads it
+// itself and exports recognize_text with these functions attached.
+
+var recognize_text = typeof module === 'object' && module.exports
+  ? require('./recognize-text.js')
+  : recognize_text;
+
+// Options.
+// Detected boxes often cut a pixel or two off the tops and ends of the glyphs, so
+// each box is grown by padding times its height before it's binarized. dilation
+// then grows the text mask by that many pixels in every direction, which covers
+// the antialiased edges of strokes that binarization misses. radius is the blur
+// radius, and block is the pixelation block size, both in pixels.
+
+recognize_text.redaction_defaults = {
+  padding:  0.25,
+  dilation: 1,
+  radius:   8,
+  block:    8
+};
+
+recognize_text.redaction_modes = ['fill', 'inpaint', 'blur', 'pixelate'];
+
+// Text masks.
+// Each line (or cell) is padded and binarized just as when its words were found
+// (see the section on separating ink from background in recognize-text.js), and
+// its ink is copied into the mask. Its ink and background colors are estimated
+// from the same binarization, as for a line's (see the section on colors and
+// polarity there). areas gives, for each pixel, one more than the index in colors
+// of the line whose padded box covers it, or 0 if none does; where boxes overlap,
+// the first line wins. Lines with too little contrast to binarize contribute no
+// ink.
+
+recognize_text.text_mask = function (image_data, result, options) {
+  image_data = recognize_text.image_data(image_data, options);
+
+  var settings = recognize_text.with_options(recognize_text.redaction_defaults, options);
+  var w = image_data.width, h = image_data.height, data = new Uint8Array(w * h);
+  var areas = new Int32Array(w * h), colors = [];
+
+  (result.lines || result.cells || []).forEach(function (box) {
+    var pad = Math.ceil(settings.padding * box.h);
+    var ink = recognize_text.ink(image_data, {x: box.x - pad, y: box.y - pad,
+                                              w: box.w + 2 * pad, h: box.h + 2 * pad});
+    var described = recognize_text.describe_colors(image_data, ink,
+                                                   {x: ink.x, y: ink.y, w: ink.w, h: ink.h});
+    colors.push({foreground: described.foreground, background: described.background});
+
+    for (var y = 0; y < ink.h; ++y)
+      for (var x = 0, i; x < ink.w; ++x) {
+        i = (ink.y + y) * w + ink.x + x;
+        if (ink.mask[y * ink.w + x]) data[i] = 1;
+        if (!areas[i])               areas[i] = colors.length;
+      }
+  });
+
+  return {width: w, height: h, data: recognize_text.dilate(data, w, h, settings.dilation),
+          areas: areas, colors: colors};
+};
+
+// Stray ink.
+// ink_colored(data, i, mask) is true if pixel i is in a line's padded box and its
+// color is closer to that line's ink than to its background. Anything like that
+// outside the mask is a bit of a stroke the binarization missed, so fill and
+// inpaint don't take colors from it. Masks without colors (from boxes, or made by
+// the caller) have no stray ink.
+
+recognize_text.ink_colored = function (data, i, mask) {
+  var line = mask.areas && mask.areas[i] && mask.colors[mask.areas[i] - 1];
+  if (!line || !line.foreground || !line.background) return false;
+
+  var o = i << 2, to_ink = 0, to_background = 0;
+  for (var c = 0; c < 3; ++c)
+    to_ink        += (data[o + c] - line.foreground[c]) * (data[o + c] - line.foreground[c]),
+    to_background += (data[o + c] - line.background[c]) * (data[o + c] - line.background[c]);
+  return to_ink < to_background;
+};
+
+// Dilation.
+// dilate(mask, w, h, r) sets every pixel within r of a set pixel (in the square
+// sense), one row pass and one column pass. It returns a new mask.
+
+recognize_text.dilate = function (mask, w, h, r) {
+  if (!(r = Math.round(r))) return mask;
+
+  var rows = new Uint8Array(w * h), result = new Uint8Array(w * h);
+  for (var y = 0; y < h; ++y)
+    for (var x = 0, last = -Infinity; x < w + r; ++x) {
+      if (x < w && mask[y * w + x]) last = x;
+      if (x - r >= 0 && x - r < w && x - last <= 2 * r) rows[y * w + x - r] = 1;
+    }
+
+  for (var x = 0; x < w; ++x)
+    for (var y = 0, last = -Infinity; y < h + r; ++y) {
+      if (y < h && rows[y * w + x]) last = y;
+      if (y - r >= 0 && y - r < h && y - last <= 2 * r) result[(y - r) * w + x] = 1;
+    }
+
+  return result;
+};
+
+// Redaction.
+// The regions are turned into a mask first; then the mode does the rest. A list
+// of boxes becomes a mask with box_mask(boxes, w, h), which sets every pixel
+// inside any of them.
+
+recognize_text.redact = function (image_data, regions, mode, options) {
+  image_data = recognize_text.image_data(image_data, options);
+
+  var settings = recognize_text.with_options(recognize_text.redaction_defaults, options);
+  var w = image_data.width, h = image_data.height;
+  var mask = regions.data ? regions
+           : regions.length !== undefined ? {width: w, height: h, data: recognize_text.box_mask(regions, w, h)}
+           : recognize_text.text_mask(image_data, regions, settings);
+
+  var data = new Uint8ClampedArray(image_data.data);
+  switch (mode || 'fill') {
+    case 'fill':     recognize_text.fill_regions(data, mask, w, h);                       break;
+    case 'inpaint':  recognize_text.inpaint(data, mask, w, h);                            break;
+    case 'blur':     recognize_text.blur_regions(data, mask.data, w, h, settings.radius); break;
+    case 'pixelate': recognize_text.pixelate(data, mask.data, w, h, settings.block);      break;
+    default:         throw new Error('unknown redaction mode ' + mode);
+  }
+
+  return {width: w, height: h, data: data};
+};
+
+recognize_text.box_mask = function (boxes, w, h) {
+  var mask = new Uint8Array(w * h);
+  boxes.forEach(function (box) {
+    for (var y = Math.max(0, Math.floor(box.y)), y1 = Math.min(h, Math.ceil(box.y + box.h)); y < y1; ++y)
+      for (var x = Math.max(0, Math.floor(box.x)), x1 = Math.min(w, Math.ceil(box.x + box.w)); x < x1; ++x)
+        mask[y * w + x] = 1;
+  });
+  return mask;
+};
+
+// Fill.
+// Masked pixels inside a line's padded box become that line's background color.
+// The rest are split into 4-connected patches, and each patch's color is the
+// average of the unmasked pixels bordering it that aren't stray ink, which for
+// text strokes is the background just around the character. A patch with no such
+// border (when everything is masked) is left alone. fill_regions() and inpaint()
+// take the whole mask object, not just its data.
+
+recognize_text.fill_regions = function (data, mask, w, h) {
+  var seen = new Uint8Array(w * h), patch = [], stack = [];
+  var masked = mask.data, areas = mask.areas;
+
+  for (var start = 0, n = w * h; start < n; ++start) {
+    if (!masked[start] || seen[start]) continue;
+
+    var sums = [0, 0, 0, 0], border = {};
+    patch.length = 0;
+    stack.push(start), seen[start] = 1;
+
+    while (stack.length) {
+      var i = stack.pop(), x = i % w, y = i / w | 0;
+      patch.push(i);
+
+      var neighbors = [x > 0 && i - 1, x < w - 1 && i + 1, y > 0 && i - w, y < h - 1 && i + w];
+      for (var k = 0; k < 4; ++k) {
+        var j = neighbors[k];
+        if (j === false) continue;
+        if (masked[j]) {
+          if (!seen[j]) seen[j] = 1, stack.push(j);
+        } else if (!border[j] && !recognize_text.ink_colored(data, j, mask)) {
+          border[j] = true;
+          sums[0] += data[j << 2], sums[1] += data[(j << 2) + 1], sums[2] += data[(j << 2) + 2], ++sums[3];
+        }
+      }
+    }
+
+    for (var p = 0; p < patch.length; ++p) {
+      var o = patch[p] << 2, line = areas && areas[patch[p]] && mask.colors[areas[patch[p]] - 1];
+      if (line && line.background)
+        data[o] = line.background[0], data[o + 1] = line.background[1], data[o + 2] = line.background[2];
+      else if (sums[3])
+        data[o] = sums[0] / sums[3], data[o + 1] = sums[1] / sums[3], data[o + 2] = sums[2] / sums[3];
+    }
+  }
+};
+
+// Inpainting.
+// Masked pixels are filled in layers from the outside in: each pixel next to a
+// known one becomes the average of its known 8-neighbors, and then counts as
+// known for the next layer. This carries the surrounding colors, gradients
+// included, smoothly into the hole. Stray ink isn't known, so it's filled in along
+// with the mask rather than smeared into it.
+
+recognize_text.inpaint = function (data, mask, w, h) {
+  var known = new Uint8Array(w * h), queued = new Uint8Array(w * h), layer = [];
+
+  for (var i = 0, n = w * h; i < n; ++i)
+    known[i] = mask.data[i] || recognize_text.ink_colored(data, i, mask) ? 0 : 1;
+  for (var i = 0, n = w * h; i < n; ++i)
+    if (!known[i] && recognize_text.has_known_neighbor(known, i, w, h)) queued[i] = 1, layer.push(i);
+
+  while (layer.length) {
+    var colors = layer.map(function (i) {
+      var x = i % w, y = i / w | 0, sums = [0, 0, 0, 0];
+      for (var dy = -1; dy <= 1; ++dy)
+        for (var dx = -1; dx <= 1; ++dx) {
+          var nx = x + dx, ny = y + dy, j = ny * w + nx;
+          if (nx < 0 || ny < 0 || nx >= w || ny >= h || !known[j]) continue;
+          sums[0] += data[j << 2], sums[1] += data[(j << 2) + 1], sums[2] += data[(j << 2) + 2], ++sums[3];
+        }
+      return sums;
+    });
+
+    var next = [];
+    layer.forEach(function (i, k) {
+      var o = i << 2, sums = colors[k];
+      data[o] = sums[0] / sums[3], data[o + 1] = sums[1] / sums[3], data[o + 2] = sums[2] / sums[3];
+      known[i] = 1;
+    });
+    layer.forEach(function (i) {
+      var x = i % w, y = i / w | 0;
+      for (var dy = -1; dy <= 1; ++dy)
+        for (var dx = -1; dx <= 1; ++dx) {
+          var nx = x + dx, ny = y + dy, j = ny * w + nx;
+          if (nx >= 0 && ny >= 0 && nx < w && ny < h && !known[j] && !queued[j]) queued[j] = 1, next.push(j);
+        }
+    });
+    layer = next;
+  }
+};
+
+recognize_text.has_known_neighbor = function (known, i, w, h) {
+  var x = i % w, y = i / w | 0;
+  for (var dy = -1; dy <= 1; ++dy)
+    for (var dx = -1; dx <= 1; ++dx)
+      if (x + dx >= 0 && y + dy >= 0 && x + dx < w && y + dy < h && known[i + dy * w + dx]) return true;
+  return false;
+};
+
+// Blurring.
+// Three passes of a box blur (close to a Gaussian) over the whole image, each one
+// horizontal and then vertical, using running sums so that the radius doesn't
+// affect the speed. Only pixels within radius of the mask take the blurred
+// values.
+
+recognize_text.blur_regions = function (data, mask, w, h, radius) {
+  var area    = recognize_text.dilate(mask, w, h, radius);
+  var blurred = new Float32Array(w * h * 4);
+  for (var i = 0, l = data.length; i < l; ++i) blurred[i] = data[i];
+
+  for (var pass = 0; pass < 3; ++pass)
+    recognize_text.box_blur(blurred, w, h, radius, 1, w),
+    recognize_text.box_blur(blurred, h, w, radius, w, 1);
+
+  for (var i = 0, n = w * h; i < n; ++i)
+    if (area[i])
+      data[i << 2] = blurred[i << 2], data[(i << 2) + 1] = blurred[(i << 2) + 1],
+      data[(i << 2) + 2] = blurred[(i << 2) + 2];
+};
+
+// The box_blur(pixels, length, count, r, step, stride) helper blurs count lines of
+// length pixels each, where consecutive pixels in a line are step pixels apart and
+// consecutive lines start stride pixels apart; so (w, h, r, 1, w) blurs rows and
+// (h, w, r, w, 1) blurs columns. The window is clamped at the ends of each line.
+
+recognize_text.box_blur = function (pixels, length, count, r, step, stride) {
+  var line = new Float32Array(length * 3);
+  r = Math.max(1, Math.round(r));
+
+  for (var j = 0; j < count; ++j) {
+    for (var i = 0; i < length; ++i)
+      for (var c = 0, o = (j * stride + i * step) << 2; c < 3; ++c) line[i * 3 + c] = pixels[o + c];
+
+    for (var c = 0; c < 3; ++c) {
+      var sum = 0, n = 0;
+      for (var i = 0; i < Math.min(r, length); ++i) sum += line[i * 3 + c], ++n;
+
+      for (var i = 0; i < length; ++i) {
+        if (i + r < length)      sum += line[(i + r) * 3 + c], ++n;
+        if (i - r - 1 >= 0)      sum -= line[(i - r - 1) * 3 + c], --n;
+        pixels[((j * stride + i * step) << 2) + c] = sum / n;
+      }
+    }
+  }
+};
+
+// Pixelation.
+// Blocks are aligned to the image's top left corner, and only those with a
+// masked pixel in them are changed.
+
+recognize_text.pixelate = function (data, mask, w, h, block) {
+  for (var by = 0; by < h; by += block)
+    for (var bx = 0; bx < w; bx += block) {
+      var x1 = Math.min(w, bx + block), y1 = Math.min(h, by + block), any = false;
+      var sums = [0, 0, 0, 0];
+
+      for (var y = by; y < y1; ++y)
+        for (var x = bx; x < x1; ++x) {
+          var o = y * w + x << 2;
+          any = any || mask[y * w + x] > 0;
+          sums[0] += data[o], sums[1] += data[o + 1], sums[2] += data[o + 2], ++sums[3];
+        }
+
+      if (any)
+        for (var y = by; y < y1; ++y)
+          for (var x = bx; x < x1; ++x) {
+            var o = y * w + x << 2;
+            data[o] = sums[0] / sums[3], data[o + 1] = sums[1] / sums[3], data[o + 2] = sums[2] / sums[3];
+          }
+    }
+};
+
+if (typeof module === 'object' && module.exports) module.exports = recognize_text;
+// Generated by SDoc 
@@ -0,0 +1,444 @@
+// Synthetic documents | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// The detector makes three assumptions (see recognize-text.md): the background is
+// consistent, the text is a solid color with little noise, and lines aren't
+// tilted. Photographs and scans break all three at once and to unknown degrees, so
+// they're no good for finding out which assumption matters by how much. This file
+// draws pages of random text where each of those things is a setting, and since
+// it does the drawing it knows where every line, word and character is.
+
+// | var page = recognize_text.synthesize({seed: 4, scales: [2, 3], noise: 12});
+//   var evaluation = recognize_text.evaluate(page, page, {level: 'words'});
+
+// Everything is plain JavaScript: the fonts are bitmaps embedded below, so the
+// output is the same in every browser and under Node, with no canvas and no
+// system fonts involved. A page is image data with the annotation (see
+// evaluate.js) attached, which is why it can be passed as both arguments above:
+
+// | {width: 640, height: 480, data: Uint8ClampedArray,
+//    settings: {...},
+//    lines: [{x, y, w, h, text: 'Hello world',
+//             words: [{x, y, w, h, text: 'Hello',
+//                      chars: [{x, y, w, h, text: 'H'}, ...]}, ...]}, ...]}
+
+// Boxes are tight around the ink. With the skew setting they also get a rotated
+// field, and their x, y, w and h become the rotated box's bounds, both exactly as
+// the deskew option reports them. settings holds every setting used, defaults
+// included, so the page can be drawn again.
+
+// Like evaluate.js, this needs recognize-text.js to be loaded first, and under
+// Node it loads it itself and exports recognize_text with these functions
+// attached.
+
+var recognize_text = typeof module === 'object' && module.exports
+  ? require('./recognize-text.js')
+  : recognize_text;
+
+// Settings.
+// Fonts and scales are lists, and each line picks one of each at random, so a
+// single page can mix sizes. foreground and background are RGB triples; inverted
+// swaps them, which is the quickest way to get light text on a dark background.
+
+// The remaining settings each probe one assumption. gradient is how much the
+// background's luminosity changes (out of 255) from one side of the page to the
+// other, in the direction gradient_angle (radians, 0 meaning left to right).
+// noise is the standard deviation of the Gaussian noise added to every channel of
+// every pixel. skew turns the whole page clockwise by that many radians.
+
+// A gradient is the mildest way to make the background inconsistent; texture is a
+// harsher one, and draws a pattern into it. 'grain' is square cells of random
+// luminosity texture_scale pixels across, like film grain, or pure noise at a
+// scale of 1; 'waves' is a few overlapping sine waves with wavelengths from 4 to
+// 32 times texture_scale, smooth like an out-of-focus photograph; and 'speckle'
+// is dots texture_scale pixels across scattered over about a twentieth of the
+// page, like dust on a scan. texture_amount is the pattern's range of luminosity,
+// out of 255. With a margin too large for any lines, a textured page is a busy
+// image with no text in it.
+
+recognize_text.synthesis_defaults = {
+  width:           640,
+  height:          480,
+  seed:            1,
+  fonts:           ['5x7'],
+  scales:          [2],
+  foreground:      [0, 0, 0],
+  background:      [255, 255, 255],
+  inverted:        false,
+  gradient:        0,
+  gradient_angle:  0,
+  noise:           0,
+  texture:         null,
+  texture_scale:   2,
+  texture_amount:  128,
+  skew:            0,
+  margin:          16,
+  line_spacing:    1.8,
+  max_word_length: 8
+};
+
+// Random numbers.
+// Pages have to be reproducible, which Math.random() isn't, so we use a small
+// seeded generator (mulberry32). random(seed) returns a function that produces
+// numbers in [0, 1).
+
+recognize_text.random = function (seed) {
+  var state = seed >>> 0;
+  return function () {
+    var t = state = state + 0x6d2b79f5 >>> 0;
+    t = Math.imul(t ^ t >>> 15, t | 1);
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+};
+
+// Fonts.
+// A font is a fixed cell size and a bitmap per character. Each bitmap is stored as
+// one base-32 digit per row, whose bits, most significant first, are the row's
+// pixels from left to right; so the 'A' in the 5x7 font, '.###.', '#...#',
+// '#...#', '#####', ..., is ehhvhhh. font(width, height, characters, bitmaps)
+// decodes a font into {width, height, glyphs}, where glyphs maps each character
+// to its list of rows.
+
+recognize_text.font = function (width, height, characters, bitmaps) {
+  var glyphs = {}, codes = bitmaps.split(' ');
+  for (var i = 0, l = characters.length; i < l; ++i) {
+    var rows = glyphs[characters.charAt(i)] = [];
+    for (var y = 0; y < height; ++y) rows.push(parseInt(codes[i].charAt(y), 32));
+  }
+  return {width: width, height: height, glyphs: glyphs};
+};
+
+// The bold font.
+// embolden(font) smears every glyph one pixel to the right, which is how bold
+// bitmap fonts have traditionally been made. The result is one pixel wider.
+
+recognize_text.embolden = function (font) {
+  var glyphs = {};
+  for (var c in font.glyphs)
+    if (font.glyphs.hasOwnProperty(c)) {
+      glyphs[c] = [];
+      for (var y = 0, rows = font.glyphs[c]; y < font.height; ++y)
+        glyphs[c].push(rows[y] << 1 | rows[y]);
+    }
+  return {width: font.width + 1, height: font.height, glyphs: glyphs};
+};
+
+// Built-in fonts.
+// 5x7 is the classic character-LCD font, with lowercase letters and digits.
+// 3x5 is about as small as legible text gets and has only capitals, so lowercase
+// text comes out in capitals. Fonts don't include the space between glyphs;
+// characters are one pixel apart and words one cell plus two pixels apart, all
+// multiplied by the scale.
+
+recognize_text.fonts = {
+  '5x7': recognize_text.font(5, 7,
+    'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789.,\'-!?:;()',
+    'ehhvhhh uhhuhhu ehggghe sihhhis vgguggv vgguggg ehgnhhf hhhvhhh e44444e ' +
+    '72222ic hikokih ggggggv hrllhhh hhpljhh ehhhhhe uhhuggg ehhhlid uhhukih ' +
+    'fgge11u v444444 hhhhhhe hhhhha4 hhhllla hha4ahh hha4444 v1248gv 00e1fhf ' +
+    'ggmphhu 00egghe 11djhhf 00ehvge 698s888 0fhhf1e ggmphhh 40c444e 20622ic ' +
+    'ggikoki c44444e 00qllhh 00mphhh 00ehhhe 00uhugg 00djf11 00mpggg 00ege1u ' +
+    '88s8896 00hhhjd 00hhha4 00hhlla 00ha4ah 00hhf1e 00v248v ehjlphe 4c4444e ' +
+    'eh1248v v2421he 26aiv22 vgu11he 68guhhe v124888 ehhehhe ehhf12c 00000cc ' +
+    '0000c48 c480000 000v000 4444404 eh12404 0cc0cc0 0cc0c48 2488842 8422248'),
+
+  '3x5': recognize_text.font(3, 5,
+    'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789.,\'-!?:;()',
+    '25755 65656 34443 65556 74647 74644 34553 55755 72227 11152 55655 44447 ' +
+    '57755 65555 25552 65644 25563 65655 34216 72222 55557 55552 55775 55255 ' +
+    '55222 71247 75557 26227 61247 61216 55711 74616 34757 71222 75757 75716 ' +
+    '00002 00024 22000 00700 22202 61202 02020 02024 12221 42224')
+};
+
+recognize_text.fonts['5x7-bold'] = recognize_text.embolden(recognize_text.fonts['5x7']);
+
+// Random text.
+// Words are random strings drawn with roughly English letter frequencies, so that
+// wide and narrow letters turn up about as often as they do in real text. Some
+// words are capitalized, some are numbers and some end with punctuation. Any
+// character the font doesn't have is replaced by its capital.
+
+recognize_text.synthesis_letters =
+  'eeeeeeeeeeeettttttttaaaaaaaoooooooiiiiiiinnnnnnnsssssshhhhhhrrrrrrddddlllll' +
+  'ccccuuummmwwffggyyppbbvkjxqz';
+
+recognize_text.random_word = function (random, font, max_length) {
+  var pick   = function (s) {return s.charAt(Math.floor(random() * s.length))};
+  var length = 1 + Math.floor(random() * max_length);
+  var number = random() < 0.1;
+  var word   = '';
+
+  for (var i = 0; i < length; ++i)
+    word += number ? pick('0123456789') : pick(recognize_text.synthesis_letters);
+
+  if (!number && random() < 0.15) word = word.charAt(0).toUpperCase() + word.substr(1);
+  if (random() < 0.15)            word += pick('.,;:!?');
+
+  for (var i = 0, result = '', c; i < word.length; ++i)
+    result += font.glyphs[c = word.charAt(i)] ? c : c.toUpperCase();
+  return result;
+};
+
+// Drawing pages.
+// synthesize(settings) lays out lines from the top margin down until the next one
+// wouldn't fit, filling each with words until the next one wouldn't fit. The ink
+// goes into a mask first; then every pixel gets the foreground color if it's ink
+// and the background (with its gradient) otherwise. Skewing resamples that
+// bilinearly, and noise comes last so that it's independent from pixel to pixel.
+
+recognize_text.synthesize = function (settings) {
+  var s      = recognize_text.with_options(recognize_text.synthesis_defaults, settings);
+  var random = recognize_text.random(s.seed);
+  var pick   = function (xs) {return xs[Math.floor(random() * xs.length)]};
+
+  var w = s.width, h = s.height;
+  var ink   = new Uint8Array(w * h);
+  var lines = [];
+
+  for (var y = s.margin; ;) {
+    var font  = recognize_text.fonts[pick(s.fonts)];
+    var scale = pick(s.scales);
+    if (!font) throw new Error('unknown font in ' + s.fonts);
+    if (y + font.height * scale > h - s.margin) break;
+
+    var words = [];
+    for (var x = s.margin; ;) {
+      var text  = recognize_text.random_word(random, font, s.max_word_length);
+      var width = (text.length * (font.width + 1) - 1) * scale;
+      if (x + width > w - s.margin) break;
+
+      var chars = [];
+      for (var i = 0; i < text.length; ++i)
+        chars.push(recognize_text.draw_glyph(ink, w, font, text.charAt(i),
+                                             x + i * (font.width + 1) * scale, y, scale));
+
+      words.push(recognize_text.enclose(chars, text));
+      x += width + (font.width + 3) * scale;
+    }
+
+    if (words.length)
+      lines.push(recognize_text.enclose(words, words.map(function (word) {
+        return word.text;
+      }).join(' ')));
+    y += Math.round(font.height * scale * s.line_spacing);
+  }
+
+  var foreground = s.inverted ? s.background : s.foreground;
+  var background = recognize_text.synthesis_background(s);
+  var data       = new Uint8ClampedArray(w * h << 2);
+
+  for (var y = 0; y < h; ++y)
+    for (var x = 0; x < w; ++x) {
+      var o = y * w + x << 2, color = ink[y * w + x] ? foreground : background(x, y);
+      data[o] = color[0], data[o + 1] = color[1], data[o + 2] = color[2];
+      data[o + 3] = 255;
+    }
+
+  if (s.skew) data = recognize_text.skew_page(data, w, h, s.skew, background),
+              recognize_text.skew_boxes(lines, w, h, s.skew);
+
+  if (s.noise)
+    for (var i = 0, l = data.length; i < l; ++i)
+      if ((i & 3) !== 3) data[i] += s.noise * recognize_text.gaussian(random);
+
+  return {width: w, height: h, data: data, settings: s, lines: lines};
+};
+
+// Glyphs and boxes.
+// draw_glyph() sets the glyph's pixels in the ink mask, with its top-left corner
+// at (x, y), and returns the box around the pixels it set. Characters without ink
+// (none of the built-in ones, but a font could have a blank glyph) get an empty
+// box at their position. enclose(boxes, text) is the box around several boxes.
+
+recognize_text.draw_glyph = function (ink, w, font, c, x, y, scale) {
+  var rows = font.glyphs[c];
+  var x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+
+  for (var j = 0; j < font.height; ++j)
+    for (var i = 0; i < font.width; ++i)
+      if (rows[j] >> font.width - 1 - i & 1) {
+        x0 = Math.min(x0, i), x1 = Math.max(x1, i + 1);
+        y0 = Math.min(y0, j), y1 = Math.max(y1, j + 1);
+
+        for (var dy = 0; dy < scale; ++dy)
+          for (var dx = 0; dx < scale; ++dx)
+            ink[(y + j * scale + dy) * w + x + i * scale + dx] = 1;
+      }
+
+  return x0 > x1 ? {x: x, y: y, w: 0, h: 0, text: c}
+                 : {x: x + x0 * scale,     y: y + y0 * scale,
+                    w: (x1 - x0) * scale,  h: (y1 - y0) * scale, text: c};
+};
+
+recognize_text.enclose = function (boxes, text) {
+  var x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+  for (var i = 0, l = boxes.length, b; i < l; ++i)
+    if ((b = boxes[i]).w && b.h)
+      x0 = Math.min(x0, b.x), x1 = Math.max(x1, b.x + b.w),
+      y0 = Math.min(y0, b.y), y1 = Math.max(y1, b.y + b.h);
+
+  var result = {x: x0, y: y0, w: x1 - x0, h: y1 - y0, text: text};
+  result[boxes[0].chars ? 'words' : 'chars'] = boxes;
+  return result;
+};
+
+// Background.
+// synthesis_background(settings) returns a function from (x, y) to the background
+// color there. It's defined everywhere, including outside the page, which is what
+// skewing needs to fill in the corners that rotate in from off the page.
+
+recognize_text.synthesis_background = function (s) {
+  var background = s.inverted ? s.foreground : s.background;
+  var cos = Math.cos(s.gradient_angle), sin = Math.sin(s.gradient_angle);
+  var extent = Math.abs(s.width * cos) + Math.abs(s.height * sin);
+  var texture = recognize_text.synthesis_texture(s, background);
+
+  return function (x, y) {
+    var shift = s.gradient * ((x - s.width / 2) * cos + (y - s.height / 2) * sin) / extent +
+                texture(x, y);
+    return [background[0] + shift, background[1] + shift, background[2] + shift];
+  };
+};
+
+// Textures.
+// synthesis_texture(settings, background) returns a function from (x, y) to the
+// texture's change in luminosity there. Like the background it has to be defined
+// everywhere, and the same at a point however often it's asked for, so grain and
+// speckle hash each cell's coordinates rather than drawing random numbers in
+// order. Textures make their random choices with a generator of their own, so a
+// page's text is the same with or without one. Speckles are dark on a light
+// background and light on a dark one; the other textures are centered on it.
+
+recognize_text.synthesis_texture = function (s, background) {
+  if (!s.texture) return function () {return 0};
+
+  var random = recognize_text.random(~s.seed);
+  var amount = s.texture_amount, scale = s.texture_scale;
+  var salt   = Math.floor(random() * 4294967296);
+
+  var cell = function (x, y) {
+    var h = Math.imul(Math.floor(x / scale), 0x27d4eb2d) ^
+            Math.imul(Math.floor(y / scale), 0x165667b1) ^ salt;
+    h = Math.imul(h ^ h >>> 15, 0x2c1b3c6d);
+    h = Math.imul(h ^ h >>> 12, 0x297a2d39);
+    return ((h ^ h >>> 15) >>> 0) / 4294967296;
+  };
+
+  if (s.texture === 'grain')
+    return function (x, y) {return amount * (cell(x, y) - 0.5)};
+
+  if (s.texture === 'speckle') {
+    var sign = background[0] + background[1] + background[2] > 384 ? -1 : 1;
+    return function (x, y) {return cell(x, y) < 0.05 ? sign * amount : 0};
+  }
+
+  if (s.texture === 'waves') {
+    var waves = [], total = 0;
+    for (var i = 0; i < 4; ++i) {
+      var angle = random() * Math.PI, length = scale * Math.pow(2, 2 + 3 * random());
+      waves.push({fx: 2 * Math.PI * Math.cos(angle) / length,
+                  fy: 2 * Math.PI * Math.sin(angle) / length,
+                  phase: random() * 2 * Math.PI, weight: 0.5 + random()});
+      total += waves[i].weight;
+    }
+    return function (x, y) {
+      for (var i = 0, sum = 0, w; i < 4; ++i)
+        sum += (w = waves[i]).weight * Math.sin(w.fx * x + w.fy * y + w.phase);
+      return amount / 2 * sum / total;
+    };
+  }
+
+  throw new Error('unknown texture ' + s.texture);
+};
+
+// Skew.
+// skew_page() turns the page clockwise by angle around its center, keeping its
+// size, and skew_boxes() moves the boxes to match. The mapping is the one
+// rotate_image() undoes, so the deskew option should recover the page exactly.
+
+recognize_text.skew_page = function (data, w, h, angle, background) {
+  var result = new Uint8ClampedArray(data.length);
+  var sin = Math.sin(angle), cos = Math.cos(angle);
+
+  var at = function (x, y, c) {
+    return x < 0 || y < 0 || x >= w || y >= h ? background(x, y)[c]
+                                              : data[(y * w + x << 2) + c];
+  };
+
+  for (var y = 0; y < h; ++y)
+    for (var x = 0; x < w; ++x) {
+      var dx = x + 0.5 - w / 2, dy = y + 0.5 - h / 2;
+      var sx = w / 2 + dx * cos + dy * sin - 0.5,
+          sy = h / 2 - dx * sin + dy * cos - 0.5;
+      var x0 = Math.floor(sx), y0 = Math.floor(sy), fx = sx - x0, fy = sy - y0;
+      var o  = y * w + x << 2;
+
+      for (var c = 0; c < 3; ++c)
+        result[o + c] = (at(x0, y0,     c) * (1 - fx) + at(x0 + 1, y0,     c) * fx) * (1 - fy) +
+                        (at(x0, y0 + 1, c) * (1 - fx) + at(x0 + 1, y0 + 1, c) * fx) * fy;
+      result[o + 3] = 255;
+    }
+
+  return result;
+};
+
+recognize_text.skew_boxes = function (boxes, w, h, angle) {
+  var sin = Math.sin(angle), cos = Math.cos(angle);
+  var as  = Math.abs(sin),   ac  = Math.abs(cos);
+
+  for (var i = 0, l = boxes.length, box; i < l; ++i) {
+    var dx = (box = boxes[i]).x + box.w / 2 - w / 2, dy = box.y + box.h / 2 - h / 2;
+    var cx = w / 2 + dx * cos - dy * sin, cy = h / 2 + dx * sin + dy * cos;
+    var ex = (box.w * ac + box.h * as) / 2, ey = (box.w * as + box.h * ac) / 2;
+
+    box.rotated = {cx: cx, cy: cy, w: box.w, h: box.h, angle: angle};
+    box.x = cx - ex, box.w = 2 * ex;
+    box.y = cy - ey, box.h = 2 * ey;
+
+    recognize_text.skew_boxes(box.words || box.chars || [], w, h, angle);
+  }
+};
+
+// Noise.
+// gaussian(random) is a standard normal sample, by the Box-Muller transform.
+
+recognize_text.gaussian = function (random) {
+  return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+};
+
+// Random pages.
+// random_synthesis_settings(seed, overrides) picks settings for one page of a
+// varied corpus: one to three fonts and scales, a dark and a light color (either
+// way round), and half of the time each a gradient and noise. It leaves skew at
+// zero, since most of what we want to measure is unrelated to it; pass it in
+// overrides along with anything else that should stay fixed.
+
+recognize_text.random_synthesis_settings = function (seed, overrides) {
+  var random = recognize_text.random(seed);
+  var pick   = function (xs) {return xs[Math.floor(random() * xs.length)]};
+  var some   = function (xs) {
+    for (var result = [pick(xs)], n = Math.floor(random() * 3); n > 0; --n)
+      result.push(pick(xs));
+    return result;
+  };
+  var color  = function (from, to) {
+    return [0, 0, 0].map(function () {return Math.round(from + random() * (to - from))});
+  };
+
+  return recognize_text.with_options({
+    seed:           seed,
+    fonts:          some(Object.keys(recognize_text.fonts)),
+    scales:         some([2, 3, 4]),
+    foreground:     color(0, 96),
+    background:     color(160, 255),
+    inverted:       random() < 0.5,
+    gradient:       random() < 0.5 ? 0 : Math.round(random() * 96),
+    gradient_angle: random() * 2 * Math.PI,
+    noise:          random() < 0.5 ? 0 : Math.round(random() * 24)
+  }, overrides);
+};
+
+if (typeof module === 'object' && module.exports) module.exports = recognize_text;
+// Generated by SDoc 
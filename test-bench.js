@@ -1 +1,295 @@
-caterwaul.module( 'test-bench' , function (c) { (function () {var url = window.URL || window.webkitURL, revoke_img_url =function () { ; return url.revokeObjectURL( $(this) .attr( 'src'))} , workspace =function () { ; return setup_dimensions(jQuery( "<canvas>") .addClass( "workspace")) .bind( "dragover" ,setup_copy) .bind( "drop" ,add_files_to_workspace)} , setup_dimensions =function (e) { ; return( e) .css( {width: $(window) .width() , height: $(window) .height()})} , setup_copy =function (e) { ; return( ( e.stopPropagation() , e.preventDefault()) , e.originalEvent.dataTransfer.dropEffect = 'copy')} , add_files_to_workspace =function (e) { ; return(function (xs1) {var x1, x01, xi1, xl1, xr1;for (var xi1 = 0, xl1 = xs1.length; xi1 < xl1; ++xi1) x1 = xs1[xi1] , (add_one(x1)) ; return xs1}) .call(this, e.originalEvent.dataTransfer.files)} , locate_text =function () { ; return draw_indicators(recognize_text( $( '.workspace') [0] .getContext( '2d') .getImageData(0, 0, $( '.workspace') .width() , $( '.workspace') .height())))} , draw_indicators =function (results) { ; return(function () {var c = $( '.workspace') [0] .getContext( '2d') ; return(function (xs) {var x, x0, xi, xl, xr;for (var xi = 0, xl = xs.length; xi < xl; ++xi) x = xs[xi] , (c.fillStyle = ( 'rgba(255,0,0,' + (x.confidence || 0.1) + ')') , c.fillRect(x.x, x.y, x.w - 1, x.h - 1)) ; return xs}) .call(this, results)}) .call(this)} , add_one =function (file) { ; return(function () {var data = url.createObjectURL(file) ; return( $( 'body')) .append(jQuery( "<img>") .addClass( "element") .attr( "src" ,data) .bind( "load" ,revoke_img_url) .bind( "load" ,draw_and_locate))}) .call(this)} , draw_and_locate =function () { ; return( (function () {var w = $(this) .width() , h = $(this) .height() , attrs = {width: w, height: h} ; return( ( $( '.workspace')) .attr( attrs)) .css( attrs)}) .call(this) , (function (it) {return locate_text() , it}) .call(this, ( (function (it) {return it.drawImage(this, 0, 0) , it}) .call(this, ( (function (it) {return it.clearRect(0, 0, $( '.workspace') .width() , $( '.workspace') .height()) , it}) .call(this, ( $( '.workspace') [0] .getContext( '2d'))))))))} ; return $(function (_) {return($( 'body')) .append( workspace())})}) .call(this)}) ;
\ No newline at end of file
+caterwaul.module( 'test-bench' ,function(c) { (function() {var url=window.URL||window.webkitURL,analysis=null,image=null,image_name= 'page' ,video=null,tracking=null,gallery= [] ,entry=null,queue= [] ,webcam_count=0,editing=false,selected=null,drag=null,results=null,pixels=null,current=null,presets=JSON.parse(localStorage.getItem( 'recognize-text-presets' ) || '{}' ) ,rerun_timer=null,overlays= {} ,overlay_colors= {interior: [255,0,0] ,left_edge: [0,255,0] ,right_edge: [0,128,255] ,top_edge: [255,255,0] ,bottom_edge: [255,0,255] ,nw_corner: [0,255,255] ,se_corner: [255,128,0] ,magnitude: [255,255,255] } ,revoke_img_url=function() {;
+return url.revokeObjectURL($(this) .attr( 'src' ) ) } ,workspace=function() {;
+return setup_dimensions(jQuery( "<canvas>" ) .addClass( "workspace" ) ) .bind( "dragover" ,setup_copy) .bind( "drop" ,add_files_to_workspace) .bind( "click" ,toggle_video) .bind( "mousedown" ,start_edit) } ,setup_dimensions=function(e) {;
+return(e) .css( {width:$(window) .width() ,height:$(window) .height() } ) } ,setup_copy=function(e) {;
+return( (e.stopPropagation() ,e.preventDefault() ) ,e.originalEvent.dataTransfer.dropEffect= 'copy' ) } ,add_files_to_workspace=function(e) {;
+return(function(xs_g_03DZnK2ARe_Xa3KnkAhNcC) {var x_c_03DZnK2ARe_Xa3KnkAhNcC,x0_d_03DZnK2ARe_Xa3KnkAhNcC,xi_e_03DZnK2ARe_Xa3KnkAhNcC,xl_f_03DZnK2ARe_Xa3KnkAhNcC,xr_h_03DZnK2ARe_Xa3KnkAhNcC;
+for(var xi_e_03DZnK2ARe_Xa3KnkAhNcC=0,xl_f_03DZnK2ARe_Xa3KnkAhNcC=xs_g_03DZnK2ARe_Xa3KnkAhNcC.length;
+xi_e_03DZnK2ARe_Xa3KnkAhNcC<xl_f_03DZnK2ARe_Xa3KnkAhNcC;
+ ++xi_e_03DZnK2ARe_Xa3KnkAhNcC)x_c_03DZnK2ARe_Xa3KnkAhNcC=xs_g_03DZnK2ARe_Xa3KnkAhNcC[xi_e_03DZnK2ARe_Xa3KnkAhNcC] , (add_one(x_c_03DZnK2ARe_Xa3KnkAhNcC) ) ;
+return xs_g_03DZnK2ARe_Xa3KnkAhNcC} ) .call(this,e.originalEvent.dataTransfer.files) } ,context=function() {;
+return $( '.workspace' ) [0] .getContext( '2d' ) } ,status=function() {;
+return jQuery( "<div>" ) .addClass( "status" ) } ,show_progress=function(p) {;
+return($( '.status' ) ) .text( (p.phase=== 'cancelled' ? '' 
+: ( '' + (p.phase) + '' + (p.scale? ( " (scale " + (p.scale) + ")" ) 
+: "" ) + ': ' + (p.done) + '/' + (p.total) + '' ) ) ) } ,panel=function() {;
+return(function(it) {return it.append(source_panel() ,gallery_panel() ,annotate_panel() ,overlay_panel() ,option_panel() ,preset_panel() ,export_panel() ,redact_panel() ) ,it} ) .call(this, (jQuery( "<div>" ) .addClass( "panel" ) ) ) } ,overlay_panel=function() {;
+return(function(it) {return( (function(xs) {var x,x0,xi,xl,xr;
+for(var xi=0,xl=xs.length;
+xi<xl;
+ ++xi)x=xs[xi] , (it.append(overlay_toggle(x) ) ) ;
+return xs} ) .call(this,recognize_text.diagnostic_maps) ) ,it} ) .call(this, (jQuery( "<div>" ) .addClass( "overlays" ) ) ) } ,overlay_toggle=function(name) {;
+return $( '<label>' ) .append($( '<input type="checkbox">' ) .data( 'map' ,name) .change(toggle_overlay) , ( ' ' + (name) + '' ) ) } ,toggle_overlay=function() {;
+return( (overlays[$(this) .data( 'map' ) ] =this.checked) ,redraw() ) } ,option_ranges= {horizontal_spacing: [1,16,1] ,vertical_spacing: [1,16,1] ,ray_interval: [0.25,4,0.25] ,ray_steps: [2,16,1] ,ray_aspect: [0.25,4,0.25] ,interior_bias: [0.05,4,0.05] ,left_edge_bias: [ -1,1,0.05] ,right_edge_bias: [ -1,1,0.05] ,minimum_interior: [0.01,1,0.01] ,minimum_confidence: [0.01,1,0.01] ,merge_overlap: [0.05,1,0.05] ,word_spacing: [0.5,8,0.25] ,merge_gap: [0,4,0.25] ,segment_threshold: [0.001,0.2,0.001] ,background_radius: [4,64,1] ,contrast_threshold: [0.1,4,0.1] ,maximum_skew: [0.01,0.5,0.01] ,scale_count: [1,5,1] ,scale_factor: [1.25,4,0.25] ,luminosity_weight: [0,4,0.25] ,red_green_weight: [0,4,0.25] ,blue_yellow_weight: [0,4,0.25] } ,option_panel=function() {;
+return(function(it) {return( (function(xs) {var x,x0,xi,xl,xr;
+for(var xi=0,xl=xs.length;
+xi<xl;
+ ++xi)x=xs[xi] , (it.append(option_control(x) ) ) ;
+return xs} ) .call(this, (function(xs) {var x,x0,xi,xl,xr;
+for(var xr=new xs.constructor() ,xi=0,xl=xs.length;
+xi<xl;
+ ++xi)x=xs[xi] , (x!== 'diagnostics' &&x!== 'calibration' ) &&xr.push(x) ;
+return xr} ) .call(this,Object.keys(recognize_text.defaults) ) ) ) ,it} ) .call(this, (jQuery( "<div>" ) .addClass( "options" ) ) ) } ,option_control=function(name) {;
+return typeof recognize_text.defaults[name] === 'boolean' ?flag_control(name) 
+:name=== 'region' ?region_control(name) 
+:name=== 'matte' ?matte_control(name) 
+:number_control(name) } ,number_control=function(name) {;
+return $( '<label>' ) .attr( 'data-option' ,name) .append($( '<span>' ) .text(name) ,$( '<input type="range" class="range">' ) .attr(range(name) ) .on( 'input' ,function(_) {return set_option(name, +this.value) } ) ,$( '<input type="number" class="number">' ) .attr(range(name) ) .on( 'change' ,function(_) {return set_option(name, +this.value) } ) ) } ,flag_control=function(name) {;
+return $( '<label>' ) .attr( 'data-option' ,name) .append($( '<input type="checkbox" class="flag">' ) .on( 'change' ,function(_) {return set_option(name,this.checked) } ) , ( ' ' + (name) + '' ) ) } ,region_control=function(name) {;
+return $( '<label>' ) .attr( 'data-option' ,name) .append($( '<span>' ) .text(name) ,$( '<input type="text" class="region" placeholder="x,y,w,h">' ) .on( 'change' ,function(_) {return set_option(name,parse_region(this.value) ) } ) ) } ,matte_control=function(name) {;
+return $( '<label>' ) .attr( 'data-option' ,name) .append($( '<input type="color" class="matte">' ) .on( 'change' ,function(_) {return set_option(name,parse_color(this.value) ) } ) , ( ' ' + (name) + '' ) ) } ,range=function(name) {;
+return(function() {var r=option_ranges[name] || [0,10,0.1] ;
+return{min:r[0] ,max:r[1] ,step:r[2] } } ) .call(this) } ,parse_region=function(s) {;
+return(function() {var xs=s.split( ',' ) .map(Number) ;
+return(xs.length===4&& !xs.some(isNaN) ? {x:xs[0] ,y:xs[1] ,w:xs[2] ,h:xs[3] } 
+:null) } ) .call(this) } ,parse_color=function(s) {;
+return[1,3,5] .map(function(_) {return parseInt(s.substr(_,2) ,16) } ) } ,color_hex=function(rgb) {;
+return'#' +rgb.map(function(_) {return(256+Math.round(_) ) .toString(16) .substr(1) } ) .join( '' ) } ,set_option=function(name,value) {;
+return( ( (current[name] =value) ,show_options() ) ,schedule_rerun() ) } ,set_options=function(options) {;
+return( ( (current=recognize_text.with_options(recognize_text.defaults,options) ) ,show_options() ) ,schedule_rerun() ) } ,show_options=function() {;
+return(function(xs) {var x,x0,xi,xl,xr;
+for(var xi=0,xl=xs.length;
+xi<xl;
+ ++xi)x=xs[xi] , (show_option($(x) ) ) ;
+return xs} ) .call(this,$( '.options label' ) ) } ,show_option=function(label) {;
+return(function() {var value=current[label.attr( 'data-option' ) ] ;
+return( ( (label.find( '.range, .number' ) .val(value) ,label.find( '.flag' ) .prop( 'checked' , ! !value) ) ,label.find( '.region' ) .val(value? [value.x,value.y,value.w,value.h] .join( ',' ) 
+: '' ) ) ,label.find( '.matte' ) .val(value&&value.map?color_hex(value) 
+: '#ffffff' ) ) } ) .call(this) } ,schedule_rerun=function() {;
+return(clearTimeout(rerun_timer) , (rerun_timer=setTimeout(locate_text,150) ) ) } ,preset_panel=function() {;
+return(function(it) {return show_presets(it) ,it} ) .call(this, ( (function(it) {return it.append($( '<select class="preset-list">' ) ,button( 'save' ,save_preset) ,button( 'load' ,load_preset) ,button( 'delete' ,delete_preset) ,button( 'export' ,export_preset) ,button( 'import' ,import_preset) ,button( 'defaults' ,function(_) {return set_options( {} ) } ) ) ,it} ) .call(this, (jQuery( "<div>" ) .addClass( "presets" ) ) ) ) ) } ,button=function(label,f) {;
+return $( '<button>' ) .text(label) .click(f) } ,show_presets=function(panel) {;
+return(function(it) {return( (function(xs) {var x,x0,xi,xl,xr;
+for(var xi=0,xl=xs.length;
+xi<xl;
+ ++xi)x=xs[xi] , (it.append($( '<option>' ) .text(x) ) ) ;
+return xs} ) .call(this,Object.keys(presets) .sort() ) ) ,it} ) .call(this, (panel.find( '.preset-list' ) .empty() ) ) } ,store_presets=function() {;
+return(localStorage.setItem( 'recognize-text-presets' ,JSON.stringify(presets) ) ,show_presets($( '.presets' ) ) ) } ,selected_preset=function() {;
+return $( '.preset-list' ) .val() } ,add_preset=function(name,options) {;
+return( ( ( (presets[name] =options) ,store_presets() ) ,$( '.preset-list' ) .val(name) ) ,set_options(options) ) } ,save_preset=function() {;
+return(function() {var name=prompt( 'Preset name:' ,selected_preset() || '' ) ;
+return(name&&add_preset(name,current) ) } ) .call(this) } ,load_preset=function() {;
+return(function() {var name=selected_preset() ;
+return(name&&presets.hasOwnProperty(name) &&set_options(presets[name] ) ) } ) .call(this) } ,delete_preset=function() {;
+return(function() {var name=selected_preset() ;
+return( (name&&delete presets[name] ) ,store_presets() ) } ) .call(this) } ,download=function(name,type,text) {;
+return(function() {var data=url.createObjectURL(new Blob( [text] , {type:type} ) ) ;
+return($( '<a>' ) .attr( {href:data,download:name} ) [0] .click() ,setTimeout(function(_) {return url.revokeObjectURL(data) } ,0) ) } ) .call(this) } ,export_preset=function() {;
+return download( (selected_preset() || 'options' ) + '.json' , 'application/json' ,JSON.stringify(current,null,2) ) } ,import_preset=function() {;
+return $( '<input type="file" accept=".json,application/json">' ) .change(read_preset) [0] .click() } ,read_preset=function() {;
+return(function() {var file=this.files[0] ,name=file.name.split( '.json' ) [0] ;
+return(function(it) {return it.readAsText(file) ,it} ) .call(this, ( (function(it) {return(it.onload=function(_) {return add_preset(name,imported_options(JSON.parse(_.target.result) ) ) } ) ,it} ) .call(this, (new FileReader() ) ) ) ) } ) .call(this) } ,imported_options=function(x) {;
+return x.preset&&x.sensitivity?x.preset
+:x} ,export_panel=function() {;
+return(function(it) {return( (function(xs) {var x,x0,xi,xl,xr;
+for(var xi=0,xl=xs.length;
+xi<xl;
+ ++xi)x=xs[xi] , (it.append(export_button(x) ) ) ;
+return xs} ) .call(this,Object.keys(recognize_text.exporters) ) ) ,it} ) .call(this, ( (function(it) {return it.append($( '<span>' ) .text( 'export' ) ) ,it} ) .call(this, (jQuery( "<div>" ) .addClass( "exports" ) ) ) ) ) } ,export_button=function(format) {;
+return button(format,function(_) {return export_result(format) } ) } ,export_result=function(format) {;
+return results&& (function() {var e=recognize_text.exporters[format] ;
+return download(export_name(format,e.extension) ,e.type,e.serialize(results, {width:pixels.width,height:pixels.height,file:image_name} ) ) } ) .call(this) } ,export_name=function(format,ext) {;
+return base_name(image_name) + (ext=== '.' +format? '' 
+: '.' +format) +ext} ,redact_panel=function() {;
+return(function(it) {return it.append($( '<span>' ) .text( 'redact' ) ,redact_modes() ,button( 'download' ,redact_image) ) ,it} ) .call(this, (jQuery( "<div>" ) .addClass( "redaction" ) ) ) } ,redact_modes=function() {;
+return(function(it) {return( (function(xs) {var x,x0,xi,xl,xr;
+for(var xi=0,xl=xs.length;
+xi<xl;
+ ++xi)x=xs[xi] , (it.append($( '<option>' ) .text(x) ) ) ;
+return xs} ) .call(this,recognize_text.redaction_modes) ) ,it} ) .call(this, ($( '<select class="redact-mode">' ) ) ) } ,redact_image=function() {;
+return results&&image_canvas(recognize_text.redact(pixels,results,$( '.redact-mode' ) .val() , {matte:current.matte} ) ) .toBlob(function(_) {return download(export_name( 'redacted' , '.png' ) , 'image/png' ,_) } , 'image/png' ) } ,locate_text=function() {;
+return pixels&& (function() {var e=entry,started= +new Date;
+return( (function(it) {return it.progress.push(show_progress) ,it} ) .call(this, ( (function(it) {return it.push(function(_) {return finish(_,e,started) } ) ,it} ) .call(this, ( ( (analysis&&analysis.cancel() ) , (analysis=recognize_text.async(pixels,recognize_text.with_options(current, {diagnostics:true} ) ) ) ) ) ) ) ) ) } ) .call(this) } ,finish=function(r,e,started) {;
+return( ( ( ( ( ( (e&& (e.results=r,e.time= +new Date-started,e.options=JSON.stringify(current) ,e.boxes&& (e.boxes=merge_detections(e.boxes,r) ,selected=null) ) ) , (results=r) ) , (tracking=video?recognize_text.track(tracking,r) 
+:null) ) ,redraw() ) , ($( '.status' ) ) .text(status_text(r,e) ) ) ,show_gallery() ) , (video?setTimeout(next_video_frame,0) 
+:queue.length&&setTimeout(rerun_next,0) ) ) } ,status_text=function(r,e) {;
+return tracking? ( 'frame ' + (tracking.frame) + ': ' + (tracking.tracks.length) + ' lines, has_text: ' + (r.has_text.toFixed(2) ) + '' ) 
+: ( 'has_text: ' + (r.has_text.toFixed(2) ) + '' + (e? ( ", " + (e.time) + " ms" ) 
+: "" ) + '' ) } ,source_panel=function() {;
+return(function(it) {return it.append($( '<span>' ) .text( 'load' ) ,button( 'url' ,load_url) ,button( 'webcam' ,webcam) ) ,it} ) .call(this, (jQuery( "<div>" ) .addClass( "sources" ) ) ) } ,paste_files=function(e) {;
+return(function() {var data=e.originalEvent.clipboardData,files=data.files,text=data.getData( 'text' ) .trim() ;
+return(files.length? (function(xs_g_03DZnK2ARe_Xa3KnkAhNcC) {var x_c_03DZnK2ARe_Xa3KnkAhNcC,x0_d_03DZnK2ARe_Xa3KnkAhNcC,xi_e_03DZnK2ARe_Xa3KnkAhNcC,xl_f_03DZnK2ARe_Xa3KnkAhNcC,xr_h_03DZnK2ARe_Xa3KnkAhNcC;
+for(var xi_e_03DZnK2ARe_Xa3KnkAhNcC=0,xl_f_03DZnK2ARe_Xa3KnkAhNcC=xs_g_03DZnK2ARe_Xa3KnkAhNcC.length;
+xi_e_03DZnK2ARe_Xa3KnkAhNcC<xl_f_03DZnK2ARe_Xa3KnkAhNcC;
+ ++xi_e_03DZnK2ARe_Xa3KnkAhNcC)x_c_03DZnK2ARe_Xa3KnkAhNcC=xs_g_03DZnK2ARe_Xa3KnkAhNcC[xi_e_03DZnK2ARe_Xa3KnkAhNcC] , (add_one(x_c_03DZnK2ARe_Xa3KnkAhNcC) ) ;
+return xs_g_03DZnK2ARe_Xa3KnkAhNcC} ) .call(this,files) 
+: /^(https?:|data:image\/)/ .test(text) &&add_url(text) ) } ) .call(this) } ,load_url=function() {;
+return(function() {var u=prompt( 'Image URL or path:' ) ;
+return(u&&add_url(u) ) } ) .call(this) } ,add_url=function(u) {;
+return $( '<img>' ) .attr( 'crossOrigin' , 'anonymous' ) .on( 'load' ,function(_) {return add_entry(u.replace( /[?#].*$/ , '' ) .split( '/' ) .pop() || 'image' ,this) } ) .on( 'error' ,function(_) {return($( '.status' ) ) .text( ( 'failed to load ' + (u) + '' ) ) } ) .attr( 'src' ,u) } ,webcam=function() {;
+return navigator.mediaDevices.getUserMedia( {video:true} ) .then(capture_webcam,function(_) {return($( '.status' ) ) .text( ( 'no webcam: ' + (_.message) + '' ) ) } ) } ,capture_webcam=function(stream) {;
+return $( '<video>' ) .prop( {muted:true,autoplay:true,srcObject:stream} ) .on( 'loadeddata' ,function(_) {return grab_webcam(this,stream) } ) } ,grab_webcam=function(v,stream) {;
+return(add_entry( ( 'webcam-' + ( ++webcam_count) + '.png' ) ,frame_canvas(v,v.videoWidth,v.videoHeight) ) , ( (function(xs) {var x,x0,xi,xl,xr;
+for(var xi=0,xl=xs.length;
+xi<xl;
+ ++xi)x=xs[xi] , (x.stop() ) ;
+return xs} ) .call(this,stream.getTracks() ) ) ) } ,frame_canvas=function(v,w,h) {;
+return(function(it) {return it.getContext( '2d' ) .drawImage(v,0,0) ,it} ) .call(this, ( (function(it) {return(it.width=w,it.height=h) ,it} ) .call(this, (document.createElement( 'canvas' ) ) ) ) ) } ,gallery_panel=function() {;
+return(function(it) {return it.append($( '<span>' ) .text( 'images' ) ,button( 're-run all' ,rerun_all) ,button( 'clear' ,clear_gallery) ,$( '<div class="gallery-list">' ) ) ,it} ) .call(this, (jQuery( "<div>" ) .addClass( "gallery" ) ) ) } ,show_gallery=function() {;
+return(function(it) {return( (function(xs) {var x,x0,xi,xl,xr;
+for(var xi=0,xl=xs.length;
+xi<xl;
+ ++xi)x=xs[xi] , (it.append(gallery_row(x) ) ) ;
+return xs} ) .call(this,gallery) ) ,it} ) .call(this, ($( '.gallery-list' ) .empty() ) ) } ,gallery_row=function(e) {;
+return $( '<div class="entry">' ) .toggleClass( 'selected' ,e===entry) .text(entry_text(e) ) .click(function(_) {return pick_entry(e) } ) } ,entry_text=function(e) {;
+return e.results? ( '' + (e.name) + ': ' + ( (e.results.lines||e.results.cells) .length) + ' lines, ' + (e.time) + ' ms' + (stale(e) ? " (stale)" 
+: "" ) + '' ) 
+: ( '' + (e.name) + ': not run' ) } ,stale=function(e) {;
+return!e.results||e.options!==JSON.stringify(current) } ,add_entry=function(name,source) {;
+return(function() {var w=source.naturalWidth||source.width,h=source.naturalHeight||source.height,e= {name:name,image:source,pixels:frame_canvas(source,w,h) .getContext( '2d' ) .getImageData(0,0,w,h) ,results:null,time:null,options:null} ;
+return(gallery.push(e) ,select_entry(e) ) } ) .call(this) } ,pick_entry=function(e) {;
+return( (queue= [] ) ,select_entry(e) ) } ,select_entry=function(e) {;
+return(function() {var attrs= {width:e.pixels.width,height:e.pixels.height} ;
+return( ( ( ( ( ( (analysis&&analysis.cancel() ) ,stop_video() ) , (entry=e,image=e.image,image_name=e.name,pixels=e.pixels,results=e.results,selected=drag=null) ) , ( ($( '.workspace' ) ) .attr(attrs) ) .css(attrs) ) ,show_gallery() ) ,redraw() ) , (stale(e) ?locate_text() 
+: ($( '.status' ) ) .text(status_text(e.results,e) ) ) ) } ) .call(this) } ,rerun_all=function() {;
+return( ( ( (function(xs) {var x,x0,xi,xl,xr;
+for(var xi=0,xl=xs.length;
+xi<xl;
+ ++xi)x=xs[xi] , (x.options=null) ;
+return xs} ) .call(this,gallery) ) , (queue=gallery.slice() ) ) ,rerun_next() ) } ,rerun_next=function() {;
+return queue.length&&select_entry(queue.shift() ) } ,clear_gallery=function() {;
+return( ( ( ( (analysis&&analysis.cancel() ) ,stop_video() ) , (gallery= [] ,queue= [] ,entry=image=pixels=results=null) ) ,show_gallery() ) ,redraw() ) } ,redraw=function() {;
+return( ( (function(it) {return(image&&it.drawImage(image,0,0) ) ,it} ) .call(this, ( (function(it) {return it.clearRect(0,0,it.canvas.width,it.canvas.height) ,it} ) .call(this, (context() ) ) ) ) , (results&&draw_results(results) ) ) , (editing&&entry&&draw_edit_boxes() ) ) } ,draw_results=function(results) {;
+return( (results.diagnostics&&draw_overlays(results.diagnostics[0] ) ) , (tracking?draw_tracks(tracking) 
+: ! (editing&&entry) &&draw_indicators(results) ) ) } ,draw_overlays=function(grid) {;
+return(function(xs) {var x,x0,xi,xl,xr;
+for(var xi=0,xl=xs.length;
+xi<xl;
+ ++xi)x=xs[xi] , (draw_heatmap(grid,x) ) ;
+return xs} ) .call(this, (function(xs) {var x,x0,xi,xl,xr;
+for(var xr=new xs.constructor() ,xi=0,xl=xs.length;
+xi<xl;
+ ++xi)x=xs[xi] , (overlays[x] ) &&xr.push(x) ;
+return xr} ) .call(this,recognize_text.diagnostic_maps) ) } ,draw_heatmap=function(grid,name) {;
+return(function() {var canvas=$( '.workspace' ) [0] ;
+return context() .drawImage(image_canvas(recognize_text.heatmap(grid,name,canvas.width,canvas.height,overlay_colors[name] ) ) ,0,0) } ) .call(this) } ,image_canvas=function(image_data) {;
+return(function(it) {return it.getContext( '2d' ) .putImageData(as_image_data(it,image_data) ,0,0) ,it} ) .call(this, ( (function(it) {return(it.width=image_data.width,it.height=image_data.height) ,it} ) .call(this, (document.createElement( 'canvas' ) ) ) ) ) } ,as_image_data=function(canvas,h) {;
+return(function(it) {return it.data.set(h.data) ,it} ) .call(this, (canvas.getContext( '2d' ) .createImageData(h.width,h.height) ) ) } ,draw_indicators=function(results) {;
+return(function(xs) {var x,x0,xi,xl,xr;
+for(var xi=0,xl=xs.length;
+xi<xl;
+ ++xi)x=xs[xi] , (draw_box(x, ( 'rgba(255,0,0,' + (x.confidence||0.1) + ')' ) ) , (function(xs_g_03DZnK2ARe_Xa3KnkAhNcC) {var x_c_03DZnK2ARe_Xa3KnkAhNcC,x0_d_03DZnK2ARe_Xa3KnkAhNcC,xi_e_03DZnK2ARe_Xa3KnkAhNcC,xl_f_03DZnK2ARe_Xa3KnkAhNcC,xr_h_03DZnK2ARe_Xa3KnkAhNcC;
+for(var xi_e_03DZnK2ARe_Xa3KnkAhNcC=0,xl_f_03DZnK2ARe_Xa3KnkAhNcC=xs_g_03DZnK2ARe_Xa3KnkAhNcC.length;
+xi_e_03DZnK2ARe_Xa3KnkAhNcC<xl_f_03DZnK2ARe_Xa3KnkAhNcC;
+ ++xi_e_03DZnK2ARe_Xa3KnkAhNcC)x_c_03DZnK2ARe_Xa3KnkAhNcC=xs_g_03DZnK2ARe_Xa3KnkAhNcC[xi_e_03DZnK2ARe_Xa3KnkAhNcC] , (draw_word(x_c_03DZnK2ARe_Xa3KnkAhNcC) ) ;
+return xs_g_03DZnK2ARe_Xa3KnkAhNcC} ) .call(this, ( (x.words) || ( [] ) ) ) ) ;
+return xs} ) .call(this, ( (results.lines) || (results.cells) ) ) } ,draw_word=function(word) {;
+return( (function(xs) {var x,x0,xi,xl,xr;
+for(var xi=0,xl=xs.length;
+xi<xl;
+ ++xi)x=xs[xi] , (draw_box(x, 'rgba(0,128,255,0.3)' ) ) ;
+return xs} ) .call(this,word.chars) ,draw_box(word, 'rgba(0,128,255,0.8)' ) ) } ,draw_tracks=function(tracking) {;
+return(function(xs_g_03DZnK2ARe_Xa3KnkAhNcC) {var x_c_03DZnK2ARe_Xa3KnkAhNcC,x0_d_03DZnK2ARe_Xa3KnkAhNcC,xi_e_03DZnK2ARe_Xa3KnkAhNcC,xl_f_03DZnK2ARe_Xa3KnkAhNcC,xr_h_03DZnK2ARe_Xa3KnkAhNcC;
+for(var xi_e_03DZnK2ARe_Xa3KnkAhNcC=0,xl_f_03DZnK2ARe_Xa3KnkAhNcC=xs_g_03DZnK2ARe_Xa3KnkAhNcC.length;
+xi_e_03DZnK2ARe_Xa3KnkAhNcC<xl_f_03DZnK2ARe_Xa3KnkAhNcC;
+ ++xi_e_03DZnK2ARe_Xa3KnkAhNcC)x_c_03DZnK2ARe_Xa3KnkAhNcC=xs_g_03DZnK2ARe_Xa3KnkAhNcC[xi_e_03DZnK2ARe_Xa3KnkAhNcC] , (draw_track(x_c_03DZnK2ARe_Xa3KnkAhNcC) ) ;
+return xs_g_03DZnK2ARe_Xa3KnkAhNcC} ) .call(this,tracking.tracks) } ,draw_track=function(track) {;
+return(function() {var c=context() ,style= ( 'hsla(' + ( (track.id*67) %360) + ', 100%, 50%, ' + (track.line?1
+:0.4) + ')' ) ;
+return( (draw_box(track,style) , (c.fillStyle=style) ) ,c.fillText(track.id,track.x,track.y-2) ) } ) .call(this) } ,draw_box=function(box,style) {;
+return(function() {var c=context() ,r=box.rotated;
+return(c.strokeStyle=style,r? (c.save() ,c.translate(r.cx,r.cy) ,c.rotate(r.angle) ,c.strokeRect( -r.w/2, -r.h/2,r.w,r.h) ,c.restore() ) 
+:c.strokeRect(box.x+0.5,box.y+0.5,box.w-1,box.h-1) ) } ) .call(this) } ,annotate_panel=function() {;
+return(function(it) {return it.append($( '<label>' ) .append($( '<input type="checkbox" class="edit-boxes">' ) .change(toggle_editing) , ' edit boxes' ) ,button( 'accept' ,accept_box) ,button( 'accept all' ,accept_all) ,button( 'delete' ,delete_box) ,button( 'save' ,save_annotation) ) ,it} ) .call(this, (jQuery( "<div>" ) .addClass( "annotate" ) ) ) } ,toggle_editing=function() {;
+return( ( (editing=this.checked) , (selected=drag=null) ) ,redraw() ) } ,edit_boxes=function() {;
+return entry?entry.boxes|| (entry.boxes=detected_boxes(entry.results) ) 
+: [] } ,detected_boxes=function(r) {;
+return r? (function(xs) {var x,x0,xi,xl,xr;
+for(var xr=new xs.constructor() ,xi=0,xl=xs.length;
+xi<xl;
+ ++xi)x=xs[xi] ,xr.push( ( {x:x.x,y:x.y,w:x.w,h:x.h,text:x.text,state: 'detected' } ) ) ;
+return xr} ) .call(this, ( (r.lines) || (r.cells) ) ) 
+: [] } ,merge_detections=function(boxes,r) {;
+return(function() {var kept= (function(xs) {var x,x0,xi,xl,xr;
+for(var xr=new xs.constructor() ,xi=0,xl=xs.length;
+xi<xl;
+ ++xi)x=xs[xi] , (x.state!== 'detected' ) &&xr.push(x) ;
+return xr} ) .call(this,boxes) ;
+return kept.concat( (function(xs) {var x,x0,xi,xl,xr;
+for(var xr=new xs.constructor() ,xi=0,xl=xs.length;
+xi<xl;
+ ++xi)x=xs[xi] , ( !kept.some(function(_) {return recognize_text.overlap(_,x) >=0.5} ) ) &&xr.push(x) ;
+return xr} ) .call(this,detected_boxes(r) ) ) } ) .call(this) } ,draw_edit_boxes=function() {;
+return( ( ( (function(xs) {var x,x0,xi,xl,xr;
+for(var xi=0,xl=xs.length;
+xi<xl;
+ ++xi)x=xs[xi] , (draw_box(x,x===selected? 'yellow' 
+:x.state=== 'accepted' ? 'lime' 
+: 'rgba(255,0,0,0.8)' ) ) ;
+return xs} ) .call(this,edit_boxes() ) ) , (selected&&draw_handles(selected) ) ) , (drag&&drag.mode=== 'draw' &&drag.box&&draw_box(drag.box, 'yellow' ) ) ) } ,draw_handles=function(b) {;
+return(function() {var c= (function(it) {return(it.fillStyle= 'yellow' ) ,it} ) .call(this, (context() ) ) ;
+return( (function(xs) {var x,x0,xi,xl,xr;
+for(var xi=0,xl=xs.length;
+xi<xl;
+ ++xi)x=xs[xi] , (c.fillRect(x[0] -2,x[1] -2,5,5) ) ;
+return xs} ) .call(this, [ [b.x,b.y] , [b.x+b.w,b.y] , [b.x,b.y+b.h] , [b.x+b.w,b.y+b.h] ] ) ) } ) .call(this) } ,point=function(e) {;
+return(function() {var o=$( '.workspace' ) .offset() ;
+return{x:e.pageX-o.left,y:e.pageY-o.top} } ) .call(this) } ,start_edit=function(e) {;
+return editing&&entry&& (e.preventDefault() ,drag=grab(point(e) ) ,redraw() ) } ,grab=function(p) {;
+return(function() {var handle=selected&&edges_near(selected,p) ,hit=box_at(p) ;
+return(handle? {mode: 'resize' ,box:selected,edges:handle,from:p,original:copy_box(selected) } 
+:hit? {mode: 'move' ,box:selected=hit,from:p,original:copy_box(hit) } 
+: {mode: 'draw' ,box:selected=null,from:p} ) } ) .call(this) } ,edges_near=function(b,p) {;
+return(function() {var across=p.y>=b.y-4&&p.y<=b.y+b.h+4,along=p.x>=b.x-4&&p.x<=b.x+b.w+4,left=across&&Math.abs(p.x-b.x) <=4,right=across&&Math.abs(p.x-b.x-b.w) <=4,top=along&&Math.abs(p.y-b.y) <=4,bottom=along&&Math.abs(p.y-b.y-b.h) <=4;
+return( (left||right||top||bottom) && {left:left,right:right,top:top,bottom:bottom} ) } ) .call(this) } ,box_at=function(p) {;
+return(function() {var hits= (function(xs) {var x,x0,xi,xl,xr;
+for(var xr=new xs.constructor() ,xi=0,xl=xs.length;
+xi<xl;
+ ++xi)x=xs[xi] , (p.x>=x.x&&p.x<=x.x+x.w&&p.y>=x.y&&p.y<=x.y+x.h) &&xr.push(x) ;
+return xr} ) .call(this,edit_boxes() ) ;
+return(hits.length?hits.reduce(smaller) 
+:null) } ) .call(this) } ,smaller=function(a,b) {;
+return a.w*a.h<=b.w*b.h?a
+:b} ,copy_box=function(b) {;
+return{x:b.x,y:b.y,w:b.w,h:b.h} } ,drag_edit=function(e) {;
+return drag&& (move_drag(drag,point(e) ) ,redraw() ) } ,move_drag=function(d,p) {;
+return(function() {var o=d.original;
+return( ( (d.moved=true) , (d.mode=== 'draw' ?d.box= {x:Math.min(d.from.x,p.x) ,y:Math.min(d.from.y,p.y) ,w:Math.abs(p.x-d.from.x) ,h:Math.abs(p.y-d.from.y) } 
+:d.mode=== 'move' ? (d.box.x=o.x+p.x-d.from.x,d.box.y=o.y+p.y-d.from.y) 
+: (d.edges.left&& (d.box.x=Math.min(o.x+p.x-d.from.x,o.x+o.w-1) ,d.box.w=o.x+o.w-d.box.x) ,d.edges.right&& (d.box.w=Math.max(1,o.w+p.x-d.from.x) ) ,d.edges.top&& (d.box.y=Math.min(o.y+p.y-d.from.y,o.y+o.h-1) ,d.box.h=o.y+o.h-d.box.y) ,d.edges.bottom&& (d.box.h=Math.max(1,o.h+p.y-d.from.y) ) ) ) ) ) } ) .call(this) } ,end_edit=function() {;
+return drag&& (finish_drag(drag) ,drag=null,redraw() ) } ,finish_drag=function(d) {;
+return d.mode=== 'draw' ?d.box&&d.box.w>=3&&d.box.h>=3&&edit_boxes() .push(selected= {x:d.box.x,y:d.box.y,w:d.box.w,h:d.box.h,state: 'accepted' } ) 
+:d.moved&& (d.box.state= 'accepted' ) } ,edit_key=function(e) {;
+return(function() {var f= {Delete:delete_box,Backspace:delete_box,Enter:accept_box,a:accept_box,Escape:deselect} [e.key] ;
+return(editing&&entry&&f&& !$(e.target) .is( ':input' ) && (e.preventDefault() ,f() ) ) } ) .call(this) } ,accept_box=function() {;
+return selected&& ( (selected.state= 'accepted' ) ,redraw() ) } ,accept_all=function() {;
+return( ( (function(xs) {var x,x0,xi,xl,xr;
+for(var xi=0,xl=xs.length;
+xi<xl;
+ ++xi)x=xs[xi] , (x.state= 'accepted' ) ;
+return xs} ) .call(this,edit_boxes() ) ) ,redraw() ) } ,delete_box=function() {;
+return selected&& (edit_boxes() .splice(edit_boxes() .indexOf(selected) ,1) ,deselect() ) } ,deselect=function() {;
+return( (selected=null) ,redraw() ) } ,save_annotation=function() {;
+return entry&& (function() {var accepted= (function(xs) {var x,x0,xi,xl,xr;
+for(var xr=new xs.constructor() ,xi=0,xl=xs.length;
+xi<xl;
+ ++xi)x=xs[xi] , (x.state=== 'accepted' ) &&xr.push(x) ;
+return xr} ) .call(this,edit_boxes() ) ;
+return(download(export_name( 'json' , '.json' ) , 'application/json' ,JSON.stringify(recognize_text.annotation(accepted,image_name) ,null,2) ) , ($( '.status' ) ) .text( ( 'saved ' + (accepted.length) + ' boxes' ) ) ) } ) .call(this) } ,read_annotation=function(file) {;
+return(function(it) {return it.readAsText(file) ,it} ) .call(this, ( (function(it) {return(it.onload=function(_) {return load_annotation(file.name,JSON.parse(_.target.result) ) } ) ,it} ) .call(this, (new FileReader() ) ) ) ) } ,load_annotation=function(name,a) {;
+return(function() {var e= (function(it) {return it[it.length-1] } ) .call(this, ( (function(xs) {var x,x0,xi,xl,xr;
+for(var xr=new xs.constructor() ,xi=0,xl=xs.length;
+xi<xl;
+ ++xi)x=xs[xi] , (base_name(x.name) ===base_name(a.image||name) ) &&xr.push(x) ;
+return xr} ) .call(this,gallery) ) ) ;
+return(e? ( ( ( (e.boxes= (function(xs) {var x,x0,xi,xl,xr;
+for(var xr=new xs.constructor() ,xi=0,xl=xs.length;
+xi<xl;
+ ++xi)x=xs[xi] ,xr.push( ( {x:x.x,y:x.y,w:x.w,h:x.h,text:x.text,state: 'accepted' } ) ) ;
+return xr} ) .call(this, ( (a.lines) || ( [] ) ) ) ) , (editing=true) ) ,$( '.edit-boxes' ) .prop( 'checked' ,true) ) ,select_entry(e) ) 
+: ($( '.status' ) ) .text( ( 'no image in the gallery for ' + (name) + '' ) ) ) } ) .call(this) } ,base_name=function(name) {;
+return name.replace( /\.[^.]*$/ , '' ) } ,add_one=function(file) {;
+return/\.json$/i .test(file.name) ?read_annotation(file) 
+: (function() {var data=url.createObjectURL(file) ;
+return( /^video\// .test(file.type) ?add_video(file,data) 
+:add_image(file,data) ) } ) .call(this) } ,add_image=function(file,data) {;
+return($( 'body' ) ) .append(jQuery( "<img>" ) .addClass( "element" ) .attr( "src" ,data) .attr( "alt" ,file.name) .bind( "load" ,revoke_img_url) .bind( "load" ,add_image_entry) ) } ,add_image_entry=function() {;
+return add_entry($(this) .attr( 'alt' ) ,this) } ,add_video=function(file,data) {;
+return($( 'body' ) ) .append($( '<video>' ) .attr( {src:data,alt:file.name} ) .prop( 'muted' ,true) .on( 'loadeddata' ,start_video) .on( 'play' ,next_video_frame) ) } ,start_video=function() {;
+return(function() {var attrs= {width:this.videoWidth,height:this.videoHeight} ;
+return( ( ( (stop_video() , (video=this,entry=null,image_name=$(this) .attr( 'alt' ) ,results=null) ) ,show_gallery() ) , ( ($( '.workspace' ) ) .attr(attrs) ) .css(attrs) ) ,this.play() ) } ) .call(this) } ,stop_video=function() {;
+return( (video&& (video.pause() ,url.revokeObjectURL(video.src) ,$(video) .remove() ) ) , (video=tracking=null) ) } ,toggle_video=function() {;
+return video&& (video.paused||video.ended?video.play() 
+:video.pause() ) } ,next_video_frame=function() {;
+return video&& !video.paused&& !video.ended&& (context() .drawImage(video,0,0) ,pixels=context() .getImageData(0,0,video.videoWidth,video.videoHeight) ,image=image_canvas(pixels) ,locate_text() ) } ;
+return $(function(_) {return( ( ( ( ($( 'body' ) ) .append(workspace() ) ) .append(status() ) ) .append(panel() ) ,$(document) .on( {paste:paste_files,keydown:edit_key,mousemove:drag_edit,mouseup:end_edit} ) ) ,set_options( {} ) ) } ) } ) .call(this) } );
@@ -0,0 +1,204 @@
+// Tracking text over time | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// Running recognize_text() on consecutive frames of a video or a screen recording
+// gives a list of boxes per frame with nothing to connect them. The same line in
+// two frames comes out as two unrelated objects, its box jitters by a pixel or
+// two, and now and then it's missed for a frame. track() follows lines from frame
+// to frame instead: it gives each one an id that stays the same for as long as
+// the line is on screen, smooths its box and confidence, and reports when lines
+// appear and disappear:
+
+// | var tracking = null;
+//   frames.forEach(function (image_data) {
+//     tracking = recognize_text.track(tracking, recognize_text(image_data));
+//     tracking.events.forEach(function (e) {console.log(e.type, e.track.id)});
+//     tracking.tracks.forEach(function (track) {draw(track)});
+//   });
+
+// Like update(), track() takes what it returned for the previous frame (or null
+// for the first one) and returns something new, leaving the old one alone. The
+// second argument can be a recognize_text() or update() result or just an array
+// of boxes, as with layout(). Options are only read on the first frame; after
+// that, the tracking keeps the ones it started with. The result looks like this:
+
+// | {frame:  12,
+//    tracks: [{id: 3, x: 10.4, y: 20.1, w: 300.2, h: 18.9, confidence: 0.41,
+//              velocity: {x: 0, y: -2.1}, age: 40, hits: 38, missed: 0,
+//              line: {...}}, ...],
+//    events: [{type: 'appear', frame: 12, track: {...}},
+//             {type: 'disappear', frame: 12, track: {...}}],
+//    state:  {...}}
+
+// Frames are counted from zero. A track's box and confidence are smoothed, so
+// they're usually fractional. velocity is how far the box moves per frame, age is
+// the number of frames since it was first seen (counting that one), hits is how
+// many of those it was found in and missed is how many frames in a row it's been
+// missing for. line is the box it was matched to in this frame, words, text and
+// all, or null if it wasn't found this time. Boxes without a confidence (from
+// annotations, say) count as 1. As with frames, state is bookkeeping and
+// shouldn't be relied on.
+
+// Like layout.js, this needs recognize-text.js to be loaded first, and under Node
+// it loads it itself and exports recognize_text with track() attached.
+
+var recognize_text = typeof module === 'object' && module.exports
+  ? require('./recognize-text.js')
+  : recognize_text;
+
+// Options.
+// Flicker is dealt with at both ends. A new box becomes a track, with an id and
+// an appear event, only once it's been found in appear_after frames in a row. A
+// track disappears only once it's been missing for disappear_after frames in a
+// row; until then it keeps moving at its last velocity while its confidence fades.
+// A box is matched to a track if it overlaps the box the track is expected to
+// have by at least minimum_overlap, as intersection over union. smoothing is the
+// weight each frame's box gets against the track's history: 1 follows the
+// detector exactly, and smaller values are steadier but slower to catch up.
+
+recognize_text.track_defaults = {
+  minimum_overlap: 0.3,
+  smoothing:       0.5,
+  appear_after:    2,
+  disappear_after: 3
+};
+
+// Tracking.
+// The state holds every track, including new ones that haven't appeared yet and
+// so have no id; only the ones that have appeared are in the result's tracks.
+// Ids count up from 1 and are never reused.
+
+recognize_text.track = function (previous, result, options) {
+  var boxes    = result.length !== undefined ? result : result.lines || result.cells || [];
+  var settings = previous ? previous.state.settings
+                          : recognize_text.with_options(recognize_text.track_defaults, options);
+  var frame    = previous ? previous.frame + 1 : 0;
+  var next_id  = previous ? previous.state.next_id : 1;
+  var before   = previous ? previous.state.tracks : [];
+
+  var matches  = recognize_text.match_tracks(before.map(recognize_text.predicted_box), boxes,
+                                             settings.minimum_overlap);
+  var followed = [], claimed = [];
+  for (var i = 0, l = matches.length; i < l; ++i)
+    followed[matches[i].track] = boxes[matches[i].box],
+    claimed[matches[i].box]    = true;
+
+  var tracks = [], events = [];
+  var add    = function (track) {
+    if (track.id === null && track.hits >= settings.appear_after)
+      track.id = next_id++,
+      events.push({type: 'appear', frame: frame, track: track});
+    tracks.push(track);
+  };
+
+  for (var i = 0, l = before.length, track; i < l; ++i)
+    if (followed[i])
+      add(recognize_text.follow_track(before[i], followed[i], settings));
+    else if (before[i].id !== null) {
+      track = recognize_text.coast_track(before[i], settings);
+      if (track.missed < settings.disappear_after) add(track);
+      else events.push({type: 'disappear', frame: frame, track: track});
+    }
+
+  for (var i = 0, l = boxes.length; i < l; ++i)
+    if (!claimed[i]) add(recognize_text.new_track(boxes[i]));
+
+  return {frame:  frame,
+          tracks: tracks.filter(function (track) {return track.id !== null}),
+          events: events,
+          state:  {settings: settings, next_id: next_id, tracks: tracks}};
+};
+
+// Matching boxes to tracks.
+// match_tracks(predicted, boxes, minimum) pairs up the boxes the tracks are
+// expected to have with the boxes that were found. Every pair that overlaps by at
+// least minimum is a candidate, and we take them greedily, most overlap first, so
+// that each track and each box is used at most once. It returns a list of
+// {track, box} index pairs.
+
+recognize_text.match_tracks = function (predicted, boxes, minimum) {
+  var candidates = [];
+  for (var i = 0, l = predicted.length; i < l; ++i)
+    for (var j = 0, lj = boxes.length, o; j < lj; ++j)
+      if ((o = recognize_text.overlap(predicted[i], boxes[j])) >= minimum && o > 0)
+        candidates.push({track: i, box: j, overlap: o});
+
+  candidates.sort(function (a, b) {return b.overlap - a.overlap});
+
+  var used_tracks = [], used_boxes = [], matches = [];
+  for (var i = 0, l = candidates.length, c; i < l; ++i)
+    if (!used_tracks[(c = candidates[i]).track] && !used_boxes[c.box])
+      used_tracks[c.track] = used_boxes[c.box] = true,
+      matches.push({track: c.track, box: c.box});
+
+  return matches;
+};
+
+// Updating tracks.
+// A track's next box is predicted by moving its current one by its velocity.
+// When a box is found for it, the track moves from the prediction towards that
+// box by the smoothing factor, and its velocity moves towards the distance it
+// actually went in the same way; its confidence is smoothed like the box. When
+// nothing is found, it moves to the prediction and its confidence fades towards
+// zero at the same rate. Each of these returns a new track rather than changing
+// the one it's given.
+
+recognize_text.predicted_box = function (track) {
+  return {x: track.x + track.velocity.x, y: track.y + track.velocity.y, w: track.w, h: track.h};
+};
+
+recognize_text.new_track = function (box) {
+  return {id:         null,
+          x:          box.x,
+          y:          box.y,
+          w:          box.w,
+          h:          box.h,
+          confidence: recognize_text.box_confidence(box),
+          velocity:   {x: 0, y: 0},
+          age:        1,
+          hits:       1,
+          missed:     0,
+          line:       box};
+};
+
+recognize_text.follow_track = function (track, box, settings) {
+  var a = settings.smoothing, p = recognize_text.predicted_box(track);
+  var x = p.x + a * (box.x - p.x), y = p.y + a * (box.y - p.y);
+
+  return {id:         track.id,
+          x:          x,
+          y:          y,
+          w:          p.w + a * (box.w - p.w),
+          h:          p.h + a * (box.h - p.h),
+          confidence: track.confidence + a * (recognize_text.box_confidence(box) - track.confidence),
+          velocity:   {x: track.velocity.x + a * (x - track.x - track.velocity.x),
+                       y: track.velocity.y + a * (y - track.y - track.velocity.y)},
+          age:        track.age + 1,
+          hits:       track.hits + 1,
+          missed:     0,
+          line:       box};
+};
+
+recognize_text.coast_track = function (track, settings) {
+  var p = recognize_text.predicted_box(track);
+
+  return {id:         track.id,
+          x:          p.x,
+          y:          p.y,
+          w:          p.w,
+          h:          p.h,
+          confidence: track.confidence * (1 - settings.smoothing),
+          velocity:   {x: track.velocity.x, y: track.velocity.y},
+          age:        track.age + 1,
+          hits:       track.hits,
+          missed:     track.missed + 1,
+          line:       null};
+};
+
+recognize_text.box_confidence = function (box) {
+  return box.confidence !== undefined ? box.confidence : 1;
+};
+
+if (typeof module === 'object' && module.exports) module.exports = recognize_text;
+// Generated by SDoc 
@@ -0,0 +1,226 @@
+// Option tuning | Spencer Tipping
+// Licensed under the terms of the MIT source code license
+
+// Introduction.
+// Most of recognize_text()'s options trade one kind of mistake for another, and
+// they interact: a larger interior_bias finds fainter lines but merges them more
+// readily, which a higher merge_overlap can partly undo. Finding good settings
+// for a kind of document by hand is mostly guesswork. tune(samples, settings)
+// searches for them instead, maximizing the F1 score (see evaluate.js) over a set
+// of annotated images, given as [{image_data, annotation}, ...]:
+
+// | var report = recognize_text.tune(samples, {iterations: 60});
+//   recognize_text(image_data, report.preset);
+
+// It returns the best options it found along with how much each one matters:
+
+// | {preset:      {interior_bias: 1.35, minimum_confidence: 0.18, ...},
+//    f1:          0.84,
+//    baseline:    0.71,
+//    evaluations: 60,
+//    sensitivity: [{option: 'interior_bias', value: 1.35, spread: 0.3,
+//                   sweep: [{value: 0.25, f1: 0.41}, ..., {value: 4, f1: 0.55}]},
+//                  ...]}
+
+// The preset is an ordinary options object, like the presets the test bench saves;
+// f1 is its score, and baseline is the score of the options we started from.
+// evaluations counts the option sets tried during the search, each of which means
+// running the detector on every sample. The sensitivity report is described
+// below.
+
+// This needs recognize-text.js, evaluate.js and synthesize.js (for its random
+// numbers) to be loaded first. Under Node it loads them itself and exports
+// recognize_text with tune() attached.
+
+var recognize_text = typeof module === 'object' && module.exports
+  ? require('./evaluate.js')
+  : recognize_text;
+
+if (typeof module === 'object' && module.exports)
+  require('./synthesize.js');
+
+// Settings.
+// options are where the search starts, and anything in them that isn't being
+// tuned stays as it is in the preset. ranges gives the options to tune, each as
+// [minimum, maximum, step]; values are always whole steps from the minimum, so
+// counts like ray_steps stay integers. iterations is how many option sets to try,
+// and seed makes the random part of the search repeatable. level and thresholds
+// are as for evaluate(), and the score is the F1 at the first threshold. progress,
+// if given, is called after every evaluation with {phase, evaluation, f1, best}.
+
+recognize_text.tuning_defaults = {
+  options:     {},
+  ranges:      null,
+  iterations:  50,
+  seed:        1,
+  level:       'lines',
+  thresholds:  [0.5],
+  sweep:       5,
+  progress:    null
+};
+
+// When ranges is null we use tuning_ranges. word_spacing and segment_threshold
+// only change words and characters, so they're left out when the level is lines.
+
+recognize_text.tuning_ranges = {
+  horizontal_spacing: [1, 8, 1],       vertical_spacing:   [1, 8, 1],
+  ray_steps:          [2, 16, 1],      ray_aspect:         [0.5, 4, 0.25],
+  interior_bias:      [0.25, 4, 0.05], left_edge_bias:     [-1, 1, 0.05],
+  right_edge_bias:    [-1, 1, 0.05],   minimum_interior:   [0.05, 1, 0.05],
+  minimum_confidence: [0.01, 0.9, 0.01], merge_overlap:    [0.1, 1, 0.05],
+  merge_gap:          [0, 4, 0.25],
+  word_spacing:       [0.5, 8, 0.25],  segment_threshold:  [0.005, 0.2, 0.005]
+};
+
+recognize_text.word_options = ['word_spacing', 'segment_threshold'];
+
+// Searching.
+// The search has two parts. A third of the iterations go to random search, which
+// tries option sets drawn uniformly from the ranges and keeps the best; that
+// finds a good region without assuming anything about the shape of the score.
+// The rest go to coordinate descent from there: we try moving each option up and
+// down by its current step size, keep any move that improves the score, and
+// halve the step size of an option when neither direction helps. The step sizes
+// start at an eighth of each range and stop at the range's own step; the search
+// ends early if a whole pass at the smallest steps finds nothing better. Scores
+// are cached, so revisiting an option set doesn't run the detector again, but it
+// still uses up an iteration; otherwise a search space with fewer option sets than
+// iterations would never finish. evaluations in the report only counts the option
+// sets that were actually run.
+
+recognize_text.tune = function (samples, settings) {
+  var s      = recognize_text.with_options(recognize_text.tuning_defaults, settings);
+  var ranges = s.ranges || recognize_text.tuning_ranges;
+  var random = recognize_text.random(s.seed);
+  var base   = recognize_text.with_options(recognize_text.defaults, s.options);
+
+  var names = Object.keys(ranges).filter(function (name) {
+    return s.ranges || s.level !== 'lines' || recognize_text.word_options.indexOf(name) < 0;
+  });
+  if (!names.length) throw new Error('nothing to tune');
+
+  var cache = {}, evaluations = 0, tries = 0, phase = 'baseline';
+  var score = function (values) {
+    var key = JSON.stringify(values);
+    if (cache.hasOwnProperty(key)) return cache[key];
+
+    var f1 = cache[key] = recognize_text.tuning_score(samples,
+                                                      recognize_text.with_options(base, values), s);
+    if (phase !== 'baseline' && phase !== 'sensitivity') ++evaluations;
+    s.progress && s.progress({phase: phase, evaluation: evaluations, f1: f1,
+                              best: best ? Math.max(best_f1, f1) : f1});
+    return f1;
+  };
+
+  var snap = function (name, value) {
+    var r = ranges[name];
+    var n = Math.round((Math.min(r[1], Math.max(r[0], value)) - r[0]) / r[2]);
+    return +(r[0] + n * r[2]).toFixed(6);
+  };
+
+  var best = null, best_f1 = -1, start = {};
+  for (var i = 0; i < names.length; ++i) start[names[i]] = snap(names[i], base[names[i]]);
+  var baseline = score(start);
+  best = start, best_f1 = baseline;
+
+  var consider = function (values) {
+    var f1 = score(values);
+    ++tries;
+    if (f1 > best_f1 + 1e-9) best = values, best_f1 = f1;
+    return best === values;
+  };
+
+  phase = 'random';
+  for (var random_budget = Math.floor(s.iterations / 3); tries < random_budget;) {
+    var values = {};
+    for (var i = 0; i < names.length; ++i) {
+      var r = ranges[names[i]];
+      values[names[i]] = snap(names[i], r[0] + random() * (r[1] - r[0]));
+    }
+    consider(values);
+  }
+
+  phase = 'descent';
+  var steps = names.map(function (name) {
+    var r = ranges[name];
+    return Math.max(1, Math.round((r[1] - r[0]) / r[2] / 8));
+  });
+
+  for (var improved = true; tries < s.iterations && (improved || steps.some(function (x) {return x > 1}));) {
+    improved = false;
+    for (var i = 0; i < names.length && tries < s.iterations; ++i) {
+      var moved = false;
+      for (var direction = 1; direction >= -1 && !moved && tries < s.iterations; direction -= 2) {
+        var candidate = recognize_text.with_options(best, {});
+        candidate[names[i]] = snap(names[i], best[names[i]] + direction * steps[i] * ranges[names[i]][2]);
+        moved = candidate[names[i]] !== best[names[i]] && consider(candidate);
+      }
+      if (moved) improved = true;
+      else       steps[i] = Math.max(1, steps[i] >> 1);
+    }
+  }
+
+  phase = 'sensitivity';
+  return {preset:      recognize_text.with_options(s.options, best),
+          f1:          best_f1,
+          baseline:    baseline,
+          evaluations: evaluations,
+          sensitivity: recognize_text.sensitivity(names, ranges, best, score, s.sweep)};
+};
+
+// Scoring.
+// tuning_score(samples, options, settings) runs the detector over every sample
+// and returns the F1 score of all of them together, at the first threshold.
+
+recognize_text.tuning_score = function (samples, options, settings) {
+  var threshold = settings.thresholds[0];
+  var options   = recognize_text.with_options(options, {thresholds: [threshold],
+                                                        level:      settings.level});
+  var scores    = [];
+  for (var i = 0, l = samples.length; i < l; ++i)
+    scores.push(recognize_text.evaluate(samples[i].image_data, samples[i].annotation,
+                                        options).scores[0]);
+  return recognize_text.total(scores, threshold).f1;
+};
+
+// Sensitivity.
+// Once the search is done, each tuned option is swept across its range while the
+// others keep their best values: sweep evenly spaced values from the minimum to
+// the maximum, plus the best value itself. An option's spread is the difference
+// between the best and worst scores along its sweep, so options with a large
+// spread are the ones worth setting carefully for this kind of document, and
+// ones with a spread near zero hardly matter to it. The report is sorted by
+// spread, largest first. This costs up to sweep evaluations per option on top of
+// the search. If a sweep scores better than the preset somewhere, the search
+// didn't have enough iterations to find that; the preset is left as it is, since
+// the other sweeps were measured around it.
+
+recognize_text.sensitivity = function (names, ranges, best, score, sweep) {
+  var report = names.map(function (name) {
+    var r = ranges[name], values = [best[name]];
+    for (var i = 0; i < sweep; ++i) {
+      var n = Math.round((r[1] - r[0]) / r[2] * i / Math.max(1, sweep - 1));
+      values.push(+(r[0] + n * r[2]).toFixed(6));
+    }
+
+    values = values.sort(function (a, b) {return a - b})
+                   .filter(function (x, i, xs) {return !i || x !== xs[i - 1]});
+
+    var points = values.map(function (value) {
+      var candidate = recognize_text.with_options(best, {});
+      candidate[name] = value;
+      return {value: value, f1: score(candidate)};
+    });
+
+    var f1s = points.map(function (p) {return p.f1});
+    return {option: name,
+            value:  best[name],
+            spread: Math.max.apply(Math, f1s) - Math.min.apply(Math, f1s),
+            sweep:  points};
+  });
+
+  return report.sort(function (a, b) {return b.spread - a.spread});
+};
+
+if (typeof module === 'object' && module.exports) module.exports = recognize_text;
+// Generated by SDoc 